@@ -0,0 +1,78 @@
+const AuditLog = require('../models/AuditLog');
+const mongoose = require('mongoose');
+
+// @desc    Get audit log entries, newest first
+//          Filters: actor, action (exact, or prefix ending in '.' e.g. 'withdrawal.'),
+//          targetModel, targetId, success, from, to (ISO dates)
+// @route   GET /api/admin/audit-log
+// @access  Private (Admin)
+exports.getAuditLog = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const { actor, action, targetModel, targetId, success, from, to } = req.query;
+
+    const filter = {};
+
+    if (actor) {
+      if (!mongoose.Types.ObjectId.isValid(actor)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid actor id',
+        });
+      }
+      filter.actor = actor;
+    }
+
+    if (action) {
+      filter.action = action.endsWith('.')
+        ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+        : action;
+    }
+
+    if (targetModel) filter.targetModel = targetModel;
+    if (targetId) filter.targetId = targetId;
+    if (success === 'true' || success === 'false') filter.success = success === 'true';
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates',
+        });
+      }
+
+      filter.createdAt = {};
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      if (toDate) filter.createdAt.$lte = toDate;
+    }
+
+    const total = await AuditLog.countDocuments(filter);
+
+    const entries = await AuditLog.find(filter)
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      entries,
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
@@ -1,31 +1,91 @@
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const bcrypt = require('bcrypt');
 const User = require('../models/User');
-const { sendPasswordResetEmail } = require('../utils/emailService');
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendSignupAttemptEmail,
+  sendNewDeviceLoginEmail,
+} = require('../utils/emailService');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+} = require('../utils/tokens');
+const {
+  isTwoFactorRequired,
+  findWithTwoFactor,
+  verifySecondFactor,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+} = require('../utils/twoFactor');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockEmail,
+} = require('../utils/loginThrottle');
 
-// Generate JWT token
-const generateToken = (id, role) => {
-  return jwt.sign({ id, role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+// Minimum time between verification emails
+const VERIFICATION_RESEND_INTERVAL = 2 * 60 * 1000;
+
+// Email a fresh verification link. Returns whether the email went out;
+// a failure is logged and the user can ask for another one.
+const sendVerification = async (user) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify/${user._id}/${verificationToken}`;
+
+  try {
+    await sendVerificationEmail(user.email, verifyUrl);
+    return true;
+  } catch (error) {
+    console.error('Verification email error:', error);
+    return false;
+  }
+};
+
+// Minimum time between password reset emails to the same address
+const RESET_EMAIL_INTERVAL = 5 * 60 * 1000;
+
+// Run work after the response has gone out, so responses take the same
+// time whether or not an account exists
+const inBackground = (label, work) => {
+  setImmediate(() => {
+    work().catch((error) => console.error(`${label} error:`, error));
   });
 };
 
-// @desc    Register a new user
+// Someone signed up with an address that already has an account: tell the
+// owner instead of the caller (an unverified owner gets a new link)
+const notifyExistingAccount = async (user) => {
+  if (user.emailVerified === false) {
+    const lastSent = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+    if (Date.now() - lastSent >= VERIFICATION_RESEND_INTERVAL) {
+      await sendVerification(user);
+    }
+    return;
+  }
+
+  await sendSignupAttemptEmail(
+    user.email,
+    `${process.env.FRONTEND_URL}/login`,
+    `${process.env.FRONTEND_URL}/forgot`
+  );
+};
+
+// @desc    Register a new user. The response is the same whether or not the
+//          email is already registered; the mailbox owner learns which.
+//          No tokens are returned - the user logs in after signing up.
 // @route   POST /api/auth/signup
 // @access  Public
 exports.signup = async (req, res) => {
   try {
     const { name, email, password, referral_code, country } = req.body;
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email already registered',
-      });
-    }
-
     // Validate country field
     if (!country) {
       return res.status(400).json({
@@ -47,43 +107,41 @@ exports.signup = async (req, res) => {
       referrerId = referrer._id;
     }
 
-    // Create user
-    const user = await User.create({
-      name,
-      email,
-      password,
-      referral_of: referrerId,
-      country,
-    });
+    const accepted = () =>
+      res.status(201).json({
+        success: true,
+        message: 'Please check your email to confirm your address, then log in',
+      });
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
-
-    // Return user data without password
-    const userData = {
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      balance: user.balance,
-      direct_income: user.direct_income,
-      passive_income: user.passive_income,
-      referral_code: user.referral_code,
-      referral_of: user.referral_of,
-      status: user.status,
-      plan: user.plan,
-      banned: user.banned,
-      profileImage: user.profileImage,
-      country: user.country,
-      createdAt: user.createdAt,
-    };
-
-    res.status(201).json({
-      success: true,
-      message: 'User registered successfully',
-      token,
-      user: userData,
-    });
+    // Check if user already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      // Spend the time a new account's password hash would take
+      await bcrypt.hash(password, 10);
+      inBackground('Signup notice', () => notifyExistingAccount(existingUser));
+      return accepted();
+    }
+
+    // Create user; requests and withdrawals stay locked until the address
+    // is verified
+    let user;
+    try {
+      user = await User.create({
+        name,
+        email,
+        password,
+        referral_of: referrerId,
+        country,
+        emailVerified: false,
+      });
+    } catch (error) {
+      // Registered in the meantime
+      if (error.code !== 11000) throw error;
+      return accepted();
+    }
+
+    inBackground('Verification email', () => sendVerification(user));
+    accepted();
   } catch (error) {
     console.error('Signup error:', error);
     res.status(500).json({
@@ -94,6 +152,85 @@ exports.signup = async (req, res) => {
   }
 };
 
+// Refuse a login attempt held back by the login throttle
+const sendLoginBlocked = (res, blocked) => {
+  res.set('Retry-After', String(blocked.retryAfter));
+  return res.status(blocked.status).json({
+    success: false,
+    code: blocked.code,
+    message: blocked.message,
+    retryAfter: blocked.retryAfter,
+  });
+};
+
+// Count a failed login; when it locks the account, email the owner (if
+// there is one) a link to unlock it
+const recordFailedLogin = async (email, req) => {
+  try {
+    if (!(await recordLoginFailure(email, req.ip))) return;
+
+    const user = await User.findOne({ email });
+    if (!user) return;
+
+    const unlockToken = user.getUnlockToken();
+    await user.save({ validateBeforeSave: false });
+
+    const unlockUrl = `${process.env.FRONTEND_URL}/unlock/${user._id}/${unlockToken}`;
+    await sendAccountLockedEmail(user.email, unlockUrl);
+  } catch (error) {
+    console.error('Record failed login error:', error);
+  }
+};
+
+// Issue tokens and send the login response
+const sendLoginResponse = async (user, req, res) => {
+  await recordLoginSuccess(user.email);
+
+  // Generate access and refresh tokens
+  const { token, refreshToken, session, newDevice } = await issueTokens(user, req);
+
+  if (newDevice) {
+    inBackground('New device email', () =>
+      sendNewDeviceLoginEmail(
+        user.email,
+        { device: session.device, ip: session.ip, location: session.location, time: session.createdAt },
+        `${process.env.FRONTEND_URL}/settings/sessions`
+      )
+    );
+  }
+
+  // Return user data without password
+  const userData = {
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    balance: user.balance,
+    direct_income: user.direct_income,
+    passive_income: user.passive_income,
+    referral_code: user.referral_code,
+    referral_of: user.referral_of,
+    status: user.status,
+    plan: user.plan,
+    banned: user.banned,
+    profileImage: user.profileImage,
+    country: user.country,
+    emailVerified: user.emailVerified !== false,
+    twoFactorEnabled: user.twoFactorEnabled,
+    createdAt: user.createdAt,
+  };
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    // Staff without 2FA can log in, but only to enrol
+    twoFactorSetupRequired: isTwoFactorRequired(user) && !user.twoFactorEnabled,
+    user: userData,
+  });
+};
+
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
@@ -101,9 +238,16 @@ exports.login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // Per-account and per-IP protection against password guessing
+    const blocked = await checkLoginAllowed(email, req.ip);
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
+
     // Check if user exists and select password field
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordFailedLogin(email, req);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -113,6 +257,7 @@ exports.login = async (req, res) => {
     // Check if password matches
     const isPasswordCorrect = await user.comparePassword(password);
     if (!isPasswordCorrect) {
+      await recordFailedLogin(email, req);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -123,38 +268,23 @@ exports.login = async (req, res) => {
     if (user.banned) {
       return res.status(403).json({
         success: false,
+        code: 'ACCOUNT_BANNED',
         message: 'Your account has been banned. Please contact support.',
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
-
-    // Return user data without password
-    const userData = {
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      balance: user.balance,
-      direct_income: user.direct_income,
-      passive_income: user.passive_income,
-      referral_code: user.referral_code,
-      referral_of: user.referral_of,
-      status: user.status,
-      plan: user.plan,
-      banned: user.banned,
-      profileImage: user.profileImage,
-      country: user.country,
-      createdAt: user.createdAt,
-    };
+    // With 2FA on, the password alone only earns a short-lived token for
+    // the second step (POST /api/auth/login/2fa)
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Please enter a code from your authenticator app',
+        twoFactorRequired: true,
+        twoFactorToken: generateTwoFactorToken(user._id),
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: userData,
-    });
+    await sendLoginResponse(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -165,24 +295,82 @@ exports.login = async (req, res) => {
   }
 };
 
-// @desc    Forgot password - Send reset email
-// @route   POST /api/auth/forgot
+// @desc    Second login step for accounts with 2FA: exchange the
+//          twoFactorToken from /login and a code (or recovery code) for tokens
+// @route   POST /api/auth/login/2fa
 // @access  Public
-exports.forgotPassword = async (req, res) => {
+exports.loginTwoFactor = async (req, res) => {
   try {
-    const { email } = req.body;
+    const { twoFactorToken, code } = req.body;
 
-    // Find user
-    const user = await User.findOne({ email });
+    const userId = verifyTwoFactorToken(twoFactorToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login expired, please sign in again',
+      });
+    }
+
+    const user = await findWithTwoFactor(userId);
     if (!user) {
-      return res.status(404).json({
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials',
+      });
+    }
+
+    if (user.banned) {
+      return res.status(403).json({
+        success: false,
+        code: 'ACCOUNT_BANNED',
+        message: 'Your account has been banned. Please contact support.',
+      });
+    }
+
+    // Codes are guessable too, so they count towards the same limits
+    const blocked = await checkLoginAllowed(user.email, req.ip);
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
+
+    if (!(await verifySecondFactor(user, code))) {
+      await recordFailedLogin(user.email, req);
+      return res.status(401).json({
         success: false,
-        message: 'No user found with that email',
+        code: 'TWO_FACTOR_INVALID',
+        message: 'Invalid authentication code',
       });
     }
 
+    await sendLoginResponse(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Forgot password - Send reset email. Always answers the same,
+//          straight away, whether or not the email is registered; at most
+//          one email per address every 5 minutes.
+// @route   POST /api/auth/forgot
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  inBackground('Forgot password', async () => {
+    const user = await User.findOne({ email });
+    if (!user) return;
+
+    const lastSent = user.resetPasswordSentAt ? user.resetPasswordSentAt.getTime() : 0;
+    if (Date.now() - lastSent < RESET_EMAIL_INTERVAL) return;
+
     // Generate reset token
     const resetToken = user.getResetPasswordToken();
+    user.resetPasswordSentAt = new Date();
     await user.save({ validateBeforeSave: false });
 
     // Create reset URL
@@ -191,30 +379,20 @@ exports.forgotPassword = async (req, res) => {
     try {
       // Send email
       await sendPasswordResetEmail(user.email, resetUrl);
-
-      res.status(200).json({
-        success: true,
-        message: 'Password reset email sent',
-      });
     } catch (error) {
       // If email fails, clear the reset token
       user.resetPasswordToken = undefined;
       user.resetPasswordExpire = undefined;
+      user.resetPasswordSentAt = undefined;
       await user.save({ validateBeforeSave: false });
-
-      return res.status(500).json({
-        success: false,
-        message: 'Email could not be sent',
-      });
+      throw error;
     }
-  } catch (error) {
-    console.error('Forgot password error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error',
-      error: error.message,
-    });
-  }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent',
+  });
 };
 
 // @desc    Reset password
@@ -248,13 +426,26 @@ exports.resetPassword = async (req, res) => {
     user.resetPasswordExpire = undefined;
     await user.save();
 
-    // Generate new token
-    const jwtToken = generateToken(user._id, user.role);
+    // Whoever knew the old password is logged out everywhere
+    await revokeAllRefreshTokens(user._id, 'password_reset');
+
+    // A reset link must not get around 2FA: those users log in again
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Password reset successful. Please log in.',
+        twoFactorRequired: true,
+      });
+    }
+
+    // Generate new tokens
+    const { token: jwtToken, refreshToken } = await issueTokens(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Password reset successful',
       token: jwtToken,
+      refreshToken,
     });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -265,3 +456,211 @@ exports.resetPassword = async (req, res) => {
     });
   }
 };
+
+// @desc    Exchange a refresh token for a new access and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Log out this device by revoking its refresh token
+// @route   POST /api/auth/logout
+// @access  Public
+exports.logout = async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken, 'logout');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Log out all devices by revoking every token of the user
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res) => {
+  try {
+    await revokeAllRefreshTokens(req.user._id, 'logout_all');
+
+    // Access tokens already handed out stop working too
+    await User.updateOne({ _id: req.user._id }, { tokensRevokedAt: new Date() });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices',
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Verify email address using the token from the email
+// @route   POST /api/auth/verify/:id/:token
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { id, token } = req.params;
+
+    // Hash the token from params to compare with DB
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    // Find user with valid token and non-expired token
+    const user = await User.findOne({
+      _id: id,
+      emailVerificationToken: hashedToken,
+      emailVerificationExpire: { $gt: Date.now() },
+    }).select('+emailVerificationToken +emailVerificationExpire');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link',
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Send a new verification email (at most one every 2 minutes)
+// @route   POST /api/auth/verify/resend
+// @access  Private
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified !== false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified',
+      });
+    }
+
+    const lastSent = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+    const waitMs = lastSent + VERIFICATION_RESEND_INTERVAL - Date.now();
+    if (waitMs > 0) {
+      res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait before requesting another verification email',
+        retryAfter: Math.ceil(waitMs / 1000),
+      });
+    }
+
+    if (!(await sendVerification(user))) {
+      return res.status(500).json({
+        success: false,
+        message: 'Email could not be sent',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Lift a login lockout using the link from the lockout email
+// @route   POST /api/auth/unlock/:id/:token
+// @access  Public
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { id, token } = req.params;
+
+    // Hash the token from params to compare with DB
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    // Find user with valid token and non-expired token
+    const user = await User.findOne({
+      _id: id,
+      unlockToken: hashedToken,
+      unlockExpire: { $gt: Date.now() },
+    }).select('+unlockToken +unlockExpire');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock link',
+      });
+    }
+
+    await unlockEmail(user.email);
+
+    user.unlockToken = undefined;
+    user.unlockExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked. You can log in again.',
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
@@ -1,25 +1,32 @@
-const Discount = require('../models/Discount');
+const { getPlans, maxDiscount, setPlanDiscount } = require('../utils/plans');
+const { getDiscountSettings } = require('../utils/discounts');
+
+// Settings as the approve modal needs them: the switch plus each plan's
+// discount and how far it could go
+const discountSummary = async () => {
+  const settings = await getDiscountSettings();
+  const plans = await getPlans({ activeOnly: true });
+
+  return {
+    enabled: settings.enabled,
+    plans: plans.map((plan) => ({
+      key: plan.key,
+      name: plan.name,
+      price: plan.price,
+      discount: plan.discount,
+      maxDiscount: maxDiscount(plan),
+    })),
+  };
+};
 
 // @desc    Get discount settings
 // @route   GET /api/discounts
 // @access  Public (so users can see discounts in approve modal)
 exports.getDiscounts = async (req, res) => {
   try {
-    let discount = await Discount.findOne();
-
-    // If no discount settings exist, create default
-    if (!discount) {
-      discount = await Discount.create({
-        enabled: false,
-        knowicDiscount: 0,
-        learnicDiscount: 0,
-        mastericDiscount: 0,
-      });
-    }
-
     res.status(200).json({
       success: true,
-      discount,
+      discount: await discountSummary(),
     });
   } catch (error) {
     console.error('Get discounts error:', error);
@@ -31,68 +38,58 @@ exports.getDiscounts = async (req, res) => {
   }
 };
 
-// @desc    Update discount settings
+// @desc    Update discount settings. Body: { enabled, plans: { <plan key>: amount } }
 // @route   PUT /api/discounts
 // @access  Private (Admin only)
 exports.updateDiscounts = async (req, res) => {
   try {
-    const { enabled, knowicDiscount, learnicDiscount, mastericDiscount } = req.body;
+    const { enabled, plans: amounts = {} } = req.body;
+    const plans = await getPlans();
 
-    // Validate discount amounts - cannot be negative
-    if (knowicDiscount < 0 || learnicDiscount < 0 || mastericDiscount < 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Discount amounts cannot be negative',
-      });
-    }
+    // Check every amount before changing anything
+    const changes = [];
+    for (const [key, amount] of Object.entries(amounts)) {
+      const plan = plans.find((p) => p.key === key);
+      if (!plan) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown plan: ${key}`,
+        });
+      }
 
-    // Validate maximum discount limits (passive income amount)
-    // Knowic: max $7, Learnic: max $18, Masteric: max $44
-    if (knowicDiscount > 7) {
-      return res.status(400).json({
-        success: false,
-        message: 'Knowic discount cannot exceed $7 (passive income amount)',
-      });
-    }
+      const discount = Number(amount);
+      if (isNaN(discount) || discount < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Discount amounts cannot be negative',
+        });
+      }
 
-    if (learnicDiscount > 18) {
-      return res.status(400).json({
-        success: false,
-        message: 'Learnic discount cannot exceed $18 (passive income amount)',
-      });
-    }
+      // Discounted sales still pay the direct commission
+      if (discount > maxDiscount(plan)) {
+        return res.status(400).json({
+          success: false,
+          message: `${plan.name} discount cannot exceed $${maxDiscount(plan)} (price minus direct commission)`,
+        });
+      }
 
-    if (mastericDiscount > 44) {
-      return res.status(400).json({
-        success: false,
-        message: 'Masteric discount cannot exceed $44 (passive income amount)',
-      });
+      changes.push({ plan, discount });
     }
 
-    let discount = await Discount.findOne();
-
-    if (!discount) {
-      // Create new discount settings
-      discount = await Discount.create({
-        enabled,
-        knowicDiscount,
-        learnicDiscount,
-        mastericDiscount,
-      });
-    } else {
-      // Update existing discount settings
-      discount.enabled = enabled !== undefined ? enabled : discount.enabled;
-      discount.knowicDiscount = knowicDiscount !== undefined ? knowicDiscount : discount.knowicDiscount;
-      discount.learnicDiscount = learnicDiscount !== undefined ? learnicDiscount : discount.learnicDiscount;
-      discount.mastericDiscount = mastericDiscount !== undefined ? mastericDiscount : discount.mastericDiscount;
+    for (const { plan, discount } of changes) {
+      await setPlanDiscount(plan, discount, req.user._id);
+    }
 
-      await discount.save();
+    if (enabled !== undefined) {
+      const settings = await getDiscountSettings();
+      settings.enabled = enabled;
+      await settings.save();
     }
 
     res.status(200).json({
       success: true,
       message: 'Discount settings updated successfully',
-      discount,
+      discount: await discountSummary(),
     });
   } catch (error) {
     console.error('Update discounts error:', error);
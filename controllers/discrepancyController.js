@@ -0,0 +1,155 @@
+const BalanceDiscrepancy = require("../models/BalanceDiscrepancy");
+const mongoose = require("mongoose");
+const { resyncUserSnapshots } = require("../utils/ledger");
+
+// @desc    Get balance discrepancies found by the reconciliation job
+// @route   GET /api/admin/discrepancies
+// @access  Private (Admin)
+exports.getDiscrepancies = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const status = req.query.status || "open"; // Default to open only
+
+    const filter = status === "all" ? {} : { status };
+
+    const total = await BalanceDiscrepancy.countDocuments(filter);
+
+    const discrepancies = await BalanceDiscrepancy.find(filter)
+      .populate("user_id", "name email")
+      .populate("reviewedBy", "name email")
+      .sort({ detectedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: discrepancies.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      discrepancies,
+    });
+  } catch (error) {
+    console.error("Get discrepancies error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Accept a correction - moves the user's balances to what their ledger accounts hold
+// @route   POST /api/admin/discrepancies/:id/accept
+// @access  Private (Admin)
+exports.acceptDiscrepancy = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const discrepancy = await BalanceDiscrepancy.findById(req.params.id).session(session);
+    if (!discrepancy) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: "Discrepancy not found",
+      });
+    }
+
+    if (discrepancy.status !== "open") {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: "Discrepancy has already been reviewed",
+      });
+    }
+
+    // Read the ledger again rather than applying the scanned values, so
+    // money that moved since the scan is not lost
+    const user = await resyncUserSnapshots(discrepancy.user_id, { session });
+
+    if (!user) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    discrepancy.status = "accepted";
+    discrepancy.reviewedBy = req.user._id;
+    discrepancy.reviewedAt = new Date();
+    discrepancy.note = req.body.note;
+    await discrepancy.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({
+      success: true,
+      message: "Correction applied successfully",
+      discrepancy,
+      user: {
+        _id: user._id,
+        balance: user.balance,
+        direct_income: user.direct_income,
+        passive_income: user.passive_income,
+      },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error("Accept discrepancy error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Reject a correction - the user's balances stay as they are
+// @route   POST /api/admin/discrepancies/:id/reject
+// @access  Private (Admin)
+exports.rejectDiscrepancy = async (req, res) => {
+  try {
+    const discrepancy = await BalanceDiscrepancy.findById(req.params.id);
+    if (!discrepancy) {
+      return res.status(404).json({
+        success: false,
+        message: "Discrepancy not found",
+      });
+    }
+
+    if (discrepancy.status !== "open") {
+      return res.status(400).json({
+        success: false,
+        message: "Discrepancy has already been reviewed",
+      });
+    }
+
+    discrepancy.status = "rejected";
+    discrepancy.reviewedBy = req.user._id;
+    discrepancy.reviewedAt = new Date();
+    discrepancy.note = req.body.note;
+    await discrepancy.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Correction rejected",
+      discrepancy,
+    });
+  } catch (error) {
+    console.error("Reject discrepancy error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
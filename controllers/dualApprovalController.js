@@ -0,0 +1,248 @@
+const DualApproval = require('../models/DualApproval');
+const Withdraw = require('../models/Withdraw');
+const User = require('../models/User');
+const { captureWithdrawal } = require('../utils/ledger');
+const { getPlan, changeUserPlan } = require('../utils/plans');
+const { ACTION_PERMISSIONS } = require('../utils/dualApproval');
+const { hasPermission } = require('../utils/permissions');
+const mongoose = require('mongoose');
+
+// Carry out an approved action. Returns { status, message } when it can
+// no longer be executed, e.g. the withdrawal was cancelled in the meantime.
+const EXECUTORS = {
+  'withdrawal.approve': async (approval, { by, session }) => {
+    const withdrawal = await Withdraw.findById(approval.targetId).session(session);
+    if (!withdrawal) {
+      return { status: 404, message: 'Withdrawal not found' };
+    }
+
+    if (withdrawal.status !== 'pending') {
+      return { status: 400, message: 'Withdrawal has already been processed' };
+    }
+
+    const user = await User.findById(withdrawal.user_id).session(session);
+    if (!user) {
+      return { status: 404, message: 'User not found' };
+    }
+
+    if (user.passive_income < withdrawal.amount) {
+      return { status: 400, message: 'User has insufficient passive income' };
+    }
+
+    withdrawal.transition('approved', by, `Second approval of ${approval._id}`);
+    await withdrawal.save({ session });
+
+    // Capture the hold and post the payout to the ledger
+    await captureWithdrawal(withdrawal, { session });
+
+    return null;
+  },
+
+  'user.plan_change': async (approval, { session }) => {
+    const user = await User.findById(approval.targetId).session(session);
+    if (!user) {
+      return { status: 404, message: 'User not found' };
+    }
+
+    const { from, to } = approval.payload;
+
+    // Someone changed the plan since the request was made
+    if ((user.plan || null) !== from) {
+      return { status: 409, message: "The user's plan has changed since this was requested" };
+    }
+
+    if (to && !(await getPlan(to))) {
+      return { status: 400, message: 'Invalid plan' };
+    }
+
+    await changeUserPlan(user, to, { session });
+    return null;
+  },
+};
+
+// Whether `user` may decide on `approval`: same permission as the
+// requester, and not the requester themselves
+const checkDecider = (approval, user) => {
+  const permission = ACTION_PERMISSIONS[approval.action];
+
+  if (!permission || !hasPermission(user.role, permission)) {
+    return {
+      status: 403,
+      message: `User role '${user.role}' is missing permission: ${permission}`,
+    };
+  }
+
+  if (approval.requestedBy.toString() === user._id.toString()) {
+    return {
+      status: 403,
+      message: 'A different admin must approve this action',
+    };
+  }
+
+  return null;
+};
+
+// @desc    Get the dual approval queue (pending by default)
+// @route   GET /api/admin/dual-approvals?status=&action=
+// @access  Private (Admin)
+exports.getDualApprovals = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { status: req.query.status || 'pending' };
+    if (req.query.action) filter.action = req.query.action;
+
+    const total = await DualApproval.countDocuments(filter);
+
+    const approvals = await DualApproval.find(filter)
+      .populate('requestedBy', 'name email role')
+      .populate('decidedBy', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: approvals.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      approvals,
+    });
+  } catch (error) {
+    console.error('Get dual approvals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Give the second approval and execute the action
+// @route   POST /api/admin/dual-approvals/:id/approve
+// @access  Private (Admin)
+exports.approveDualApproval = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const approval = await DualApproval.findById(req.params.id).session(session);
+    if (!approval) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Approval not found',
+      });
+    }
+
+    if (approval.status !== 'pending') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'This approval has already been decided',
+      });
+    }
+
+    const denied = checkDecider(approval, req.user);
+    if (denied) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(denied.status).json({
+        success: false,
+        message: denied.message,
+      });
+    }
+
+    const failed = await EXECUTORS[approval.action](approval, {
+      by: req.user._id,
+      session,
+    });
+    if (failed) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(failed.status).json({
+        success: false,
+        message: failed.message,
+      });
+    }
+
+    approval.status = 'approved';
+    approval.decidedBy = req.user._id;
+    approval.decidedAt = new Date();
+    approval.note = req.body.note || null;
+    await approval.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({
+      success: true,
+      message: 'Approved and executed successfully',
+      approval,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error('Approve dual approval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Turn down an action waiting for a second approval. Nothing is
+//          executed; a withdrawal stays pending and can still be rejected.
+// @route   POST /api/admin/dual-approvals/:id/reject
+// @access  Private (Admin)
+exports.rejectDualApproval = async (req, res) => {
+  try {
+    const approval = await DualApproval.findById(req.params.id);
+    if (!approval) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval not found',
+      });
+    }
+
+    if (approval.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'This approval has already been decided',
+      });
+    }
+
+    const denied = checkDecider(approval, req.user);
+    if (denied) {
+      return res.status(denied.status).json({
+        success: false,
+        message: denied.message,
+      });
+    }
+
+    approval.status = 'rejected';
+    approval.decidedBy = req.user._id;
+    approval.decidedAt = new Date();
+    approval.note = req.body.note || null;
+    await approval.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Approval rejected',
+      approval,
+    });
+  } catch (error) {
+    console.error('Reject dual approval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
@@ -1,6 +1,8 @@
 const Ebook = require("../models/Ebook");
 const fs = require("fs");
 const path = require("path");
+const { getPlan, getPlans, getAccessiblePlanKeys } = require("../utils/plans");
+const { hasPermission } = require("../utils/permissions");
 
 // @desc    Upload a new ebook
 // @route   POST /api/ebooks
@@ -50,7 +52,7 @@ exports.uploadEbook = async (req, res) => {
     }
 
     // Validate plan
-    if (!["knowic", "learnic", "masteric"].includes(plan)) {
+    if (!(await getPlan(plan))) {
       console.error("ERROR: Invalid plan value:", plan);
 
       if (req.file) {
@@ -60,7 +62,7 @@ exports.uploadEbook = async (req, res) => {
 
       return res.status(400).json({
         success: false,
-        message: "Invalid plan. Must be knowic, learnic, or masteric",
+        message: "Invalid plan. Must be one of the available plans",
       });
     }
 
@@ -137,19 +139,18 @@ exports.getEbooks = async (req, res) => {
 
     let ebooks;
 
-    if (userRole === "admin") {
-      // Admin gets all ebooks grouped by plan
-      const knowicEbooks = await Ebook.find({ plan: "knowic" }).sort({ createdAt: -1 });
-      const learnicEbooks = await Ebook.find({ plan: "learnic" }).sort({ createdAt: -1 });
-      const mastericEbooks = await Ebook.find({ plan: "masteric" }).sort({ createdAt: -1 });
+    if (hasPermission(userRole, "ebooks:read")) {
+      // Staff get all ebooks grouped by plan
+      const plans = await getPlans();
+      const grouped = {};
+
+      for (const plan of plans) {
+        grouped[plan.key] = await Ebook.find({ plan: plan.key }).sort({ createdAt: -1 });
+      }
 
       return res.status(200).json({
         success: true,
-        data: {
-          knowic: knowicEbooks,
-          learnic: learnicEbooks,
-          masteric: mastericEbooks,
-        },
+        data: grouped,
       });
     } else {
       // Regular users get hierarchical access based on their plan
@@ -160,18 +161,9 @@ exports.getEbooks = async (req, res) => {
         });
       }
 
-      // Define hierarchical access
-      // Knowic: only knowic ebooks
-      // Learnic: knowic + learnic ebooks
-      // Masteric: knowic + learnic + masteric ebooks (all)
-      let allowedPlans = [];
-      if (userPlan === "knowic") {
-        allowedPlans = ["knowic"];
-      } else if (userPlan === "learnic") {
-        allowedPlans = ["knowic", "learnic"];
-      } else if (userPlan === "masteric") {
-        allowedPlans = ["knowic", "learnic", "masteric"];
-      }
+      // Define hierarchical access - a plan unlocks its own ebooks and
+      // those of every lower-ranked plan
+      const allowedPlans = await getAccessiblePlanKeys(userPlan);
 
       ebooks = await Ebook.find({ plan: { $in: allowedPlans } }).sort({ createdAt: -1 });
 
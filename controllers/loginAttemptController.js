@@ -0,0 +1,81 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+
+// @desc    Get email addresses and IPs currently locked out of login
+// @route   GET /api/admin/locked-accounts?kind=email|ip
+// @access  Private (Admin)
+exports.getLockedAccounts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { lockedUntil: { $gt: new Date() } };
+    if (req.query.kind) filter.kind = req.query.kind;
+
+    const total = await LoginAttempt.countDocuments(filter);
+
+    const locks = await LoginAttempt.find(filter)
+      .sort({ lockedUntil: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    // Attach the account behind each locked email, if there is one
+    const emails = locks.filter((l) => l.kind === 'email').map((l) => l.key);
+    const users = await User.find({ email: { $in: emails } }).select(
+      'name email role plan passive_income'
+    );
+    const userByEmail = users.reduce((map, user) => {
+      map[user.email.toLowerCase()] = user;
+      return map;
+    }, {});
+
+    res.status(200).json({
+      success: true,
+      count: locks.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      locks: locks.map((lock) => ({
+        ...lock,
+        user: lock.kind === 'email' ? userByEmail[lock.key] || null : null,
+      })),
+    });
+  } catch (error) {
+    console.error('Get locked accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Lift a login lockout (and its failure count)
+// @route   POST /api/admin/locked-accounts/:id/unlock
+// @access  Private (Admin)
+exports.unlockLockedAccount = async (req, res) => {
+  try {
+    const lock = await LoginAttempt.findByIdAndDelete(req.params.id);
+
+    if (!lock) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lock not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Unlocked ${lock.kind} ${lock.key}`,
+    });
+  } catch (error) {
+    console.error('Unlock locked account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
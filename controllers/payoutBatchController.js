@@ -0,0 +1,443 @@
+const PayoutBatch = require('../models/PayoutBatch');
+const Withdraw = require('../models/Withdraw');
+const User = require('../models/User');
+const { captureWithdrawal, failWithdrawal } = require('../utils/ledger');
+const { toCsv, toFixedWidth, parseSettlementCsv } = require('../utils/payoutFiles');
+const { withdrawalNeedsSecondApproval } = require('../utils/dualApproval');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Statuses of withdrawals still waiting for the bank's answer
+const OUTSTANDING = ['approved', 'processing'];
+
+// e.g. PB-20240101-1A2B3C
+const newBatchReference = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `PB-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+// Withdrawals of a batch with everything the export files need. Plain
+// objects, so payout destinations are not masked.
+const loadBatchWithdrawals = async (batch) => {
+  const withdrawals = await Withdraw.find({ payout_batch_id: batch._id })
+    .populate('user_id', 'name email')
+    .populate('payout_method_id')
+    .sort({ createdAt: 1 });
+
+  return withdrawals.map((w) => w.toObject());
+};
+
+// @desc    Bundle withdrawals into a payout batch. Pending withdrawals are
+//          approved as part of the batch (unless they need a second admin);
+//          approved ones are added as they are.
+// @route   POST /api/admin/payout-batches
+// @access  Private (Admin)
+exports.createPayoutBatch = async (req, res) => {
+  const { withdrawalIds } = req.body;
+
+  if (!Array.isArray(withdrawalIds) || withdrawalIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please select at least one withdrawal',
+    });
+  }
+
+  const ids = [...new Set(withdrawalIds.map(String))];
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid withdrawal id',
+    });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const withdrawals = await Withdraw.find({
+      _id: { $in: ids },
+      status: { $in: ['pending', 'approved'] },
+      payout_batch_id: null,
+    }).session(session);
+
+    if (withdrawals.length !== ids.length) {
+      const found = withdrawals.map((w) => w._id.toString());
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Some withdrawals are not pending/approved or are already in a batch',
+        unavailable: ids.filter((id) => !found.includes(id)),
+      });
+    }
+
+    // Large withdrawals are approved through the dual approval queue, not
+    // by adding them to a batch
+    const needSecondApproval = withdrawals.filter(
+      (w) => w.status === 'pending' && withdrawalNeedsSecondApproval(w)
+    );
+    if (needSecondApproval.length > 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Some withdrawals need a second admin approval before they can be batched',
+        unavailable: needSecondApproval.map((w) => w._id.toString()),
+      });
+    }
+
+    const batch = new PayoutBatch({
+      reference: newBatchReference(),
+      createdBy: req.user._id,
+    });
+
+    for (const withdrawal of withdrawals) {
+      if (withdrawal.status === 'pending') {
+        const user = await User.findById(withdrawal.user_id).session(session);
+        if (!user || user.passive_income < withdrawal.amount) {
+          await session.abortTransaction();
+          session.endSession();
+          return res.status(400).json({
+            success: false,
+            message: `User has insufficient passive income for withdrawal ${withdrawal._id}`,
+          });
+        }
+
+        withdrawal.transition('approved', req.user._id, `Approved in payout batch ${batch.reference}`);
+        await captureWithdrawal(withdrawal, { session });
+      }
+
+      withdrawal.payout_batch_id = batch._id;
+      await withdrawal.save({ session });
+    }
+
+    batch.withdrawals = withdrawals.map((w) => w._id);
+    batch.count = withdrawals.length;
+    batch.totalAmount = withdrawals.reduce((sum, w) => sum + w.amount - (w.fee || 0), 0);
+    await batch.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout batch created successfully',
+      batch,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error('Create payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get payout batches
+// @route   GET /api/admin/payout-batches
+// @access  Private (Admin)
+exports.getPayoutBatches = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const filter = req.query.status ? { status: req.query.status } : {};
+
+    const total = await PayoutBatch.countDocuments(filter);
+
+    const batches = await PayoutBatch.find(filter)
+      .select('-withdrawals')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: batches.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      batches,
+    });
+  } catch (error) {
+    console.error('Get payout batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a payout batch with its withdrawals
+// @route   GET /api/admin/payout-batches/:id
+// @access  Private (Admin)
+exports.getPayoutBatch = async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id)
+      .select('-withdrawals')
+      .populate('createdBy', 'name email');
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout batch not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      batch,
+      withdrawals: await loadBatchWithdrawals(batch),
+    });
+  } catch (error) {
+    console.error('Get payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Download a payout batch as CSV (default) or a fixed-width bank
+//          file. Downloading changes nothing; see markPayoutBatchExported.
+// @route   GET /api/admin/payout-batches/:id/export?format=csv|fixed
+// @access  Private (Admin)
+exports.exportPayoutBatch = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'fixed'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or fixed',
+      });
+    }
+
+    const batch = await PayoutBatch.findById(req.params.id);
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout batch not found',
+      });
+    }
+
+    const withdrawals = await loadBatchWithdrawals(batch);
+
+    const file =
+      format === 'csv'
+        ? { body: toCsv(withdrawals), type: 'text/csv', ext: 'csv' }
+        : { body: toFixedWidth(batch, withdrawals), type: 'text/plain', ext: 'txt' };
+
+    res.set('Content-Type', `${file.type}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${batch.reference}.${file.ext}"`);
+    res.status(200).send(file.body);
+  } catch (error) {
+    console.error('Export payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Record that a batch's file was handed to the bank: its approved
+//          withdrawals move to processing
+// @route   POST /api/admin/payout-batches/:id/mark-exported
+// @access  Private (Admin)
+exports.markPayoutBatchExported = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const batch = await PayoutBatch.findById(req.params.id).session(session);
+    if (!batch) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Payout batch not found',
+      });
+    }
+
+    // Claim the batch so a repeated or concurrent call changes nothing
+    const claimed = await PayoutBatch.findOneAndUpdate(
+      { _id: batch._id, status: 'open' },
+      { $set: { status: 'exported', exportedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!claimed) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Payout batch has already been exported',
+      });
+    }
+
+    const approved = await Withdraw.find({ payout_batch_id: batch._id, status: 'approved' }).session(session);
+    for (const withdrawal of approved) {
+      withdrawal.transition('processing', req.user._id, `Exported in payout batch ${batch.reference}`);
+      await withdrawal.save({ session });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({
+      success: true,
+      message: `${approved.length} withdrawal(s) marked as processing`,
+      batch: claimed,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error('Mark payout batch exported error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Import the bank's settlement results for a batch. Accepts a CSV
+//          upload (withdrawal_id,status,bank_reference,failure_reason) or a
+//          JSON body { results: [{ withdrawalId, status, bankReference, failureReason }] }.
+//          status is paid or failed; paid rows need a bank reference.
+// @route   POST /api/admin/payout-batches/:id/settlement
+// @access  Private (Admin)
+exports.importSettlement = async (req, res) => {
+  try {
+    let results;
+    try {
+      results = req.file
+        ? parseSettlementCsv(req.file.buffer.toString('utf8'))
+        : req.body.results;
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message,
+      });
+    }
+
+    if (!Array.isArray(results) || results.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a settlement file or provide results',
+      });
+    }
+
+    const batch = await PayoutBatch.findById(req.params.id);
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout batch not found',
+      });
+    }
+
+    const settled = [];
+    const errors = [];
+
+    for (const row of results) {
+      const { withdrawalId, status, bankReference, failureReason } = row;
+
+      if (!['paid', 'failed'].includes(status)) {
+        errors.push({ withdrawalId, message: 'Status must be paid or failed' });
+        continue;
+      }
+
+      if (status === 'paid' && !bankReference) {
+        errors.push({ withdrawalId, message: 'A bank reference is required for paid rows' });
+        continue;
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(withdrawalId)) {
+        errors.push({ withdrawalId, message: 'Invalid withdrawal id' });
+        continue;
+      }
+
+      // Only withdrawals of this batch still waiting for the bank can settle,
+      // so importing the same file twice changes nothing
+      const session = await mongoose.startSession();
+      session.startTransaction();
+
+      try {
+        const withdrawal = await Withdraw.findOne({
+          _id: withdrawalId,
+          payout_batch_id: batch._id,
+          status: { $in: OUTSTANDING },
+        }).session(session);
+
+        if (!withdrawal) {
+          await session.abortTransaction();
+          session.endSession();
+          errors.push({
+            withdrawalId,
+            message: 'Withdrawal is not in this batch or was already settled',
+          });
+          continue;
+        }
+
+        withdrawal.bankReference = bankReference || null;
+        withdrawal.settledAt = new Date();
+
+        if (status === 'paid') {
+          withdrawal.transition('paid', req.user._id, `Settled in payout batch ${batch.reference}`);
+          await withdrawal.save({ session });
+        } else {
+          // Failed payouts go straight back to the user's passive income
+          await failWithdrawal(withdrawal, {
+            by: req.user._id,
+            reason: failureReason || null,
+            session,
+          });
+        }
+
+        await session.commitTransaction();
+        session.endSession();
+        settled.push({ withdrawalId, status });
+      } catch (rowError) {
+        await session.abortTransaction();
+        session.endSession();
+        console.error('Settle withdrawal error:', rowError);
+        errors.push({ withdrawalId, message: rowError.message });
+      }
+    }
+
+    // Batch is settled once nothing in it is waiting for the bank
+    const outstanding = await Withdraw.countDocuments({
+      payout_batch_id: batch._id,
+      status: { $in: OUTSTANDING },
+    });
+
+    if (outstanding === 0) {
+      batch.status = 'settled';
+      batch.settledAt = new Date();
+    } else if (settled.length > 0) {
+      batch.status = 'partially_settled';
+    }
+    await batch.save();
+
+    res.status(200).json({
+      success: true,
+      message: `${settled.length} withdrawal(s) settled`,
+      batch,
+      settled,
+      errors,
+    });
+  } catch (error) {
+    console.error('Import settlement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
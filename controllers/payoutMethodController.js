@@ -0,0 +1,268 @@
+const PayoutMethod = require('../models/PayoutMethod');
+const Withdraw = require('../models/Withdraw');
+
+const { DESTINATION_FIELDS } = PayoutMethod;
+
+// Make `method` the user's only default
+const makeDefault = async (method) => {
+  await PayoutMethod.updateMany(
+    { user_id: method.user_id, _id: { $ne: method._id }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+  method.isDefault = true;
+  await method.save();
+};
+
+// @desc    Get the logged-in user's payout methods
+// @route   GET /api/payout-methods
+// @access  Private (User)
+exports.getMyPayoutMethods = async (req, res) => {
+  try {
+    const payoutMethods = await PayoutMethod.find({
+      user_id: req.user._id,
+      archived: false,
+    }).sort({ isDefault: -1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      payoutMethods,
+    });
+  } catch (error) {
+    console.error('Get payout methods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Add a payout method (starts unverified)
+// @route   POST /api/payout-methods
+// @access  Private (User)
+exports.createPayoutMethod = async (req, res) => {
+  try {
+    const { type, label, isDefault } = req.body;
+    const fields = DESTINATION_FIELDS[type];
+
+    if (!fields) {
+      return res.status(400).json({
+        success: false,
+        message: `Payout method type must be one of: ${Object.keys(DESTINATION_FIELDS).join(', ')}`,
+      });
+    }
+
+    const missing = fields.filter((field) => !req.body[field]);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide ${missing.join(', ')}`,
+      });
+    }
+
+    const details = {};
+    fields.forEach((field) => {
+      details[field] = String(req.body[field]).trim();
+    });
+
+    const payoutMethod = await PayoutMethod.create({
+      user_id: req.user._id,
+      type,
+      label,
+      ...details,
+    });
+
+    // The first method becomes the default automatically
+    const hasDefault = await PayoutMethod.exists({
+      user_id: req.user._id,
+      isDefault: true,
+      archived: false,
+    });
+    if (isDefault === true || isDefault === 'true' || !hasDefault) {
+      await makeDefault(payoutMethod);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout method added. It can be used once it has been verified.',
+      payoutMethod,
+    });
+  } catch (error) {
+    console.error('Create payout method error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Make a payout method the default one
+// @route   PUT /api/payout-methods/:id/default
+// @access  Private (User)
+exports.setDefaultPayoutMethod = async (req, res) => {
+  try {
+    const payoutMethod = await PayoutMethod.findOne({
+      _id: req.params.id,
+      user_id: req.user._id,
+      archived: false,
+    });
+
+    if (!payoutMethod) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout method not found',
+      });
+    }
+
+    await makeDefault(payoutMethod);
+
+    res.status(200).json({
+      success: true,
+      message: 'Default payout method updated',
+      payoutMethod,
+    });
+  } catch (error) {
+    console.error('Set default payout method error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Remove a payout method
+// @route   DELETE /api/payout-methods/:id
+// @access  Private (User)
+exports.deletePayoutMethod = async (req, res) => {
+  try {
+    const payoutMethod = await PayoutMethod.findOne({
+      _id: req.params.id,
+      user_id: req.user._id,
+      archived: false,
+    });
+
+    if (!payoutMethod) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout method not found',
+      });
+    }
+
+    const pendingWithdrawal = await Withdraw.exists({
+      payout_method_id: payoutMethod._id,
+      status: 'pending',
+    });
+    if (pendingWithdrawal) {
+      return res.status(400).json({
+        success: false,
+        message: 'This payout method is used by a pending withdrawal',
+      });
+    }
+
+    // Archived rather than deleted so past withdrawals keep their destination
+    payoutMethod.archived = true;
+    payoutMethod.isDefault = false;
+    await payoutMethod.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout method removed',
+    });
+  } catch (error) {
+    console.error('Delete payout method error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get payout methods for review (full destination details)
+// @route   GET /api/admin/payout-methods
+// @access  Private (Admin)
+exports.getPayoutMethods = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const status = req.query.status || 'unverified'; // Default to the review queue
+
+    const filter = { archived: false };
+    if (status !== 'all') {
+      filter.verificationStatus = status;
+    }
+
+    const total = await PayoutMethod.countDocuments(filter);
+
+    const methods = await PayoutMethod.find(filter)
+      .populate('user_id', 'name email')
+      .sort({ createdAt: 1 }) // Oldest first
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: methods.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      // toObject() skips the masking applied to JSON responses
+      payoutMethods: methods.map((m) => m.toObject()),
+    });
+  } catch (error) {
+    console.error('Get payout methods for review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// Shared by verify/reject
+const review = (verificationStatus) => async (req, res) => {
+  try {
+    const payoutMethod = await PayoutMethod.findOne({
+      _id: req.params.id,
+      archived: false,
+    });
+
+    if (!payoutMethod) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout method not found',
+      });
+    }
+
+    payoutMethod.verificationStatus = verificationStatus;
+    payoutMethod.verifiedBy = req.user._id;
+    payoutMethod.verifiedAt = new Date();
+    await payoutMethod.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Payout method ${verificationStatus}`,
+      payoutMethod: payoutMethod.toObject(),
+    });
+  } catch (error) {
+    console.error('Review payout method error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Mark a payout method as verified
+// @route   POST /api/admin/payout-methods/:id/verify
+// @access  Private (Admin)
+exports.verifyPayoutMethod = review('verified');
+
+// @desc    Mark a payout method as rejected
+// @route   POST /api/admin/payout-methods/:id/reject
+// @access  Private (Admin)
+exports.rejectPayoutMethod = review('rejected');
@@ -0,0 +1,289 @@
+const Plan = require('../models/Plan');
+const PlanVersion = require('../models/PlanVersion');
+const User = require('../models/User');
+const Request = require('../models/Request');
+const UpgradeRequest = require('../models/UpgradeRequest');
+const Ebook = require('../models/Ebook');
+const { getPlans, recordPlanVersion } = require('../utils/plans');
+
+// Every referable key must be an existing plan (or the plan being created)
+const findUnknownReferable = async (referable, ownKey) => {
+  const keys = (await getPlans()).map((p) => p.key);
+  return referable.find((key) => key !== ownKey && !keys.includes(key));
+};
+
+// @desc    Get plans on sale
+// @route   GET /api/plans
+// @access  Public (pricing is shown before signup)
+exports.getActivePlans = async (req, res) => {
+  try {
+    const plans = await getPlans({ activeOnly: true });
+
+    res.status(200).json({
+      success: true,
+      plans,
+    });
+  } catch (error) {
+    console.error('Get plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch plans',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get all plans including inactive ones
+// @route   GET /api/admin/plans
+// @access  Private (Admin only)
+exports.getAllPlans = async (req, res) => {
+  try {
+    const plans = await getPlans();
+
+    res.status(200).json({
+      success: true,
+      plans,
+    });
+  } catch (error) {
+    console.error('Get all plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch plans',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create a plan
+// @route   POST /api/admin/plans
+// @access  Private (Admin only)
+exports.createPlan = async (req, res) => {
+  try {
+    const { key, name, price, direct, passive, rank, referable = [], commissionLevels = [], discount, active } = req.body;
+
+    // Commissions come either from direct/passive or from a commission ladder
+    const hasCommissions =
+      commissionLevels.length > 0 || (direct !== undefined && passive !== undefined);
+
+    if (!key || !name || price === undefined || rank === undefined || !hasCommissions) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide key, name, price, rank and either direct/passive or commissionLevels',
+      });
+    }
+
+    const unknown = await findUnknownReferable(referable, key);
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown referable plan: ${unknown}`,
+      });
+    }
+
+    const existing = await Plan.findOne({ $or: [{ key }, { rank }] });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: existing.key === key
+          ? 'A plan with this key already exists'
+          : `Rank ${rank} is already used by ${existing.key}`,
+      });
+    }
+
+    const plan = await Plan.create({
+      key,
+      name,
+      price,
+      direct,
+      passive,
+      rank,
+      referable,
+      commissionLevels,
+      discount,
+      active,
+    });
+    await recordPlanVersion(plan, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan created successfully',
+      plan,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Create plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create plan',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update a plan (the key cannot change - it is stored on users and requests)
+// @route   PUT /api/admin/plans/:key
+// @access  Private (Admin only)
+exports.updatePlan = async (req, res) => {
+  try {
+    const { name, price, direct, passive, rank, referable, commissionLevels, discount, active } = req.body;
+
+    // Make sure the catalogue is seeded before looking the plan up
+    await getPlans();
+
+    const plan = await Plan.findOne({ key: req.params.key });
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found',
+      });
+    }
+
+    if (referable !== undefined) {
+      const unknown = await findUnknownReferable(referable, plan.key);
+      if (unknown) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown referable plan: ${unknown}`,
+        });
+      }
+    }
+
+    if (rank !== undefined && rank !== plan.rank) {
+      const rankTaken = await Plan.findOne({ rank, _id: { $ne: plan._id } });
+      if (rankTaken) {
+        return res.status(400).json({
+          success: false,
+          message: `Rank ${rank} is already used by ${rankTaken.key}`,
+        });
+      }
+    }
+
+    // Price, commission or discount changes start a new version; approvals already
+    // made keep the version they were snapshotted with
+    const sameLevels = (a, b) =>
+      JSON.stringify(a.map((l) => [l.type || 'fixed', l.value])) ===
+      JSON.stringify(b.map((l) => [l.type || 'fixed', l.value]));
+
+    const economicsChanged =
+      (price !== undefined && price !== plan.price) ||
+      (direct !== undefined && direct !== plan.direct) ||
+      (passive !== undefined && passive !== plan.passive) ||
+      (commissionLevels !== undefined && !sameLevels(commissionLevels, plan.commissionLevels)) ||
+      (discount !== undefined && discount !== plan.discount);
+
+    if (name !== undefined) plan.name = name;
+    if (price !== undefined) plan.price = price;
+    if (direct !== undefined) plan.direct = direct;
+    if (passive !== undefined) plan.passive = passive;
+    if (commissionLevels !== undefined) plan.commissionLevels = commissionLevels;
+    if (discount !== undefined) plan.discount = discount;
+    if (economicsChanged) plan.version += 1;
+    if (rank !== undefined) plan.rank = rank;
+    if (referable !== undefined) plan.referable = referable;
+    if (active !== undefined) plan.active = active;
+
+    await plan.save();
+
+    if (economicsChanged) {
+      await recordPlanVersion(plan, req.user._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Plan updated successfully',
+      plan,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Update plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update plan',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a plan's price/commission history
+// @route   GET /api/admin/plans/:key/history
+// @access  Private (Admin only)
+exports.getPlanHistory = async (req, res) => {
+  try {
+    const versions = await PlanVersion.find({ plan: req.params.key })
+      .populate('changedBy', 'name email')
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      success: true,
+      versions,
+    });
+  } catch (error) {
+    console.error('Get plan history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch plan history',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete a plan that nothing refers to yet
+// @route   DELETE /api/admin/plans/:key
+// @access  Private (Admin only)
+exports.deletePlan = async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    const plan = await Plan.findOne({ key });
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found',
+      });
+    }
+
+    // Plans in use must stay so existing members, requests and ebooks keep working
+    const inUse =
+      (await User.exists({ plan: key })) ||
+      (await Request.exists({ plan: key })) ||
+      (await UpgradeRequest.exists({ $or: [{ previous_plan: key }, { new_plan: key }] })) ||
+      (await Ebook.exists({ plan: key }));
+
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        message: 'This plan is in use. Deactivate it instead of deleting it.',
+      });
+    }
+
+    await Plan.findByIdAndDelete(plan._id);
+    await PlanVersion.deleteMany({ plan: key });
+
+    // Drop the deleted plan from other plans' referable lists
+    await Plan.updateMany({ referable: key }, { $pull: { referable: key } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Plan deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete plan',
+      error: error.message,
+    });
+  }
+};
@@ -1,28 +1,17 @@
 const mongoose = require("mongoose");
 const Request = require("../models/Request");
 const User = require("../models/User");
-const Transaction = require("../models/Transaction");
-
-// Plan pricing structure
-const PLAN_PRICING = {
-  knowic: { price: 24, direct: 16, passive: 2 },
-  learnic: { price: 59, direct: 40, passive: 4 },
-  masteric: { price: 130, direct: 85, passive: 7 },
-};
-
-// Plan hierarchy rules
-const PLAN_HIERARCHY = {
-  knowic: ["knowic"],
-  learnic: ["knowic", "learnic"],
-  masteric: ["knowic", "learnic", "masteric"],
-};
+const { postPlanPurchase } = require("../utils/ledger");
+const { getPlan, getPlanMap, snapshotPricing } = require("../utils/plans");
+const { calculateCommissions } = require("../utils/commissions");
+const { discountTerms, discountedPrice } = require("../utils/discounts");
 
 // @desc    Create a new request
 // @route   POST /api/requests
 // @access  Private
 exports.createRequest = async (req, res) => {
   try {
-    const { user_id, plan, discounted, discountAmount, originalPrice, finalPrice } = req.body;
+    const { user_id, plan, discounted } = req.body;
     const sender_id = req.user._id;
 
     // Check if file was uploaded
@@ -35,6 +24,15 @@ exports.createRequest = async (req, res) => {
 
     const proof_image = req.file.path; // File path from multer
 
+    // Validate the plan is on sale
+    const selectedPlan = await getPlan(plan);
+    if (!selectedPlan || !selectedPlan.active) {
+      return res.status(400).json({
+        success: false,
+        message: "Selected plan is not available",
+      });
+    }
+
     // Validate user exists and is pending
     const user = await User.findById(user_id);
     if (!user) {
@@ -70,7 +68,8 @@ exports.createRequest = async (req, res) => {
         });
       }
 
-      const allowedPlans = PLAN_HIERARCHY[sender.plan];
+      const senderPlan = await getPlan(sender.plan);
+      const allowedPlans = senderPlan ? senderPlan.referable : [];
       if (!allowedPlans.includes(plan)) {
         return res.status(400).json({
           success: false,
@@ -109,12 +108,16 @@ exports.createRequest = async (req, res) => {
       plan,
     };
 
-    // Add discount fields if this is a discounted request
+    // Discounted prices come from the plan, never from the client
     if (discounted === 'true' || discounted === true) {
-      requestData.discounted = true;
-      requestData.discountAmount = parseFloat(discountAmount) || 0;
-      requestData.originalPrice = parseFloat(originalPrice) || 0;
-      requestData.finalPrice = parseFloat(finalPrice) || 0;
+      const terms = await discountTerms(selectedPlan);
+      if (!terms) {
+        return res.status(400).json({
+          success: false,
+          message: "Discounts are not available for this plan",
+        });
+      }
+      Object.assign(requestData, terms);
     }
 
     const request = await Request.create(requestData);
@@ -165,20 +168,19 @@ exports.getAllRequests = async (req, res) => {
       .skip(skip)
       .limit(limit);
 
+    const plans = await getPlanMap();
+
     // Add expected payment amount to each request
     const requestsWithPayment = requests.map((request) => {
-      const planPricing = PLAN_PRICING[request.plan];
+      // Approved requests are shown with the pricing they were approved at
+      const planPricing = request.pricing || plans[request.plan];
       const isSelfApproval = request.user_id._id.toString() === request.sender_id._id.toString();
 
-      // If request has discount info, use finalPrice; otherwise calculate normally
-      let expectedPayment;
-      if (request.discounted && request.finalPrice) {
-        expectedPayment = request.finalPrice;
-      } else {
-        expectedPayment = isSelfApproval
-          ? planPricing.price
-          : planPricing.price - planPricing.direct;
-      }
+      // Discounted requests sell at their final price; referrers keep the
+      // direct commission either way
+      const salePrice =
+        request.discounted && request.finalPrice ? request.finalPrice : planPricing.price;
+      const expectedPayment = isSelfApproval ? salePrice : salePrice - planPricing.direct;
 
       return {
         ...request.toObject(),
@@ -235,8 +237,25 @@ exports.approveRequest = async (req, res) => {
       });
     }
 
+    // Get plan pricing and freeze it onto the request
+    const plan = await getPlan(request.plan);
+    if (!plan) {
+      throw new Error(`Plan ${request.plan} no longer exists`);
+    }
+    const pricing = snapshotPricing(plan);
+
     // Update request status
     request.status = "approved";
+    request.pricing = pricing;
+
+    // Book discounted sales at the price the snapshot allows, and keep the
+    // request's discount fields in line with what is booked
+    const price = request.discounted ? discountedPrice(pricing) : pricing.price;
+    if (request.discounted) {
+      request.originalPrice = pricing.price;
+      request.finalPrice = price;
+      request.discountAmount = Math.round((pricing.price - price) * 100) / 100;
+    }
     await request.save({ session });
 
     // Update user status and plan
@@ -251,61 +270,37 @@ exports.approveRequest = async (req, res) => {
 
     await user.save({ session });
 
-    // Get plan pricing
-    const pricing = PLAN_PRICING[request.plan];
-
-    // Check if user has a referrer (sender is the referrer)
+    // Pay the sender and their upline when the sender is the user's
+    // referrer (self-approvals earn nobody a commission). Discounted
+    // purchasers pay no passive income.
+    let commissions = [];
     if (
       user.referral_of &&
       user.referral_of.toString() !== request.user_id.toString()
     ) {
-      // Give direct income to sender
-      const sender = await User.findById(request.sender_id).session(session);
-      sender.direct_income += pricing.direct;
-      sender.balance += pricing.direct;
-      await sender.save({ session });
-
-      // Create direct transaction
-      await Transaction.create(
-        [
-          {
-            user_id: sender._id,
-            type: "direct",
-            amount: pricing.direct,
-          },
-        ],
+      commissions = await calculateCommissions(
+        {
+          pricing,
+          firstBeneficiaryId: request.sender_id,
+          discounted: request.discounted === true,
+        },
         { session }
       );
-
-      // Give passive income to sender's referrer (if exists AND purchaser is not discounted)
-      if (sender.referral_of) {
-        const grandReferrer = await User.findById(sender.referral_of).session(
-          session
-        );
-        // Only give passive income if the PURCHASER (user) is NOT a discounted user
-        // Check if request.discounted is explicitly true (handles null/undefined as false)
-        const isPurchaserDiscounted = request.discounted === true;
-
-        if (grandReferrer && !isPurchaserDiscounted) {
-          grandReferrer.passive_income += pricing.passive;
-          grandReferrer.balance += pricing.passive;
-          await grandReferrer.save({ session });
-
-          // Create passive transaction
-          await Transaction.create(
-            [
-              {
-                user_id: grandReferrer._id,
-                type: "passive",
-                amount: pricing.passive,
-              },
-            ],
-            { session }
-          );
-        }
-      }
     }
 
+    // Post the sale and commissions to the ledger (updates balances too)
+    await postPlanPurchase(
+      {
+        type: "plan_purchase",
+        reference: { model: "Request", id: request._id },
+        plan: request.plan,
+        planVersion: pricing.planVersion,
+        price,
+        commissions,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
     session.endSession();
@@ -337,8 +332,9 @@ exports.approveRequest = async (req, res) => {
 exports.rejectRequest = async (req, res) => {
   try {
     const { id } = req.params;
+    const { reasonCode, note } = req.body;
 
-    // Find and delete the request
+    // Find the request
     const request = await Request.findById(id);
     if (!request) {
       return res.status(404).json({
@@ -354,12 +350,36 @@ exports.rejectRequest = async (req, res) => {
       });
     }
 
-    // Delete the request
-    await Request.findByIdAndDelete(id);
+    // Keep the request so the user can see why it was rejected. The
+    // update only matches a still-pending request, so it can never undo an
+    // approval that landed in the meantime.
+    const rejected = await Request.findOneAndUpdate(
+      { _id: id, status: "pending" },
+      {
+        $set: {
+          status: "rejected",
+          rejection: {
+            reasonCode,
+            note: note || null,
+            by: req.user._id,
+            at: new Date(),
+          },
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!rejected) {
+      return res.status(409).json({
+        success: false,
+        message: "Request has already been processed",
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: "Request rejected and deleted successfully",
+      message: "Request rejected successfully",
+      request: rejected,
     });
   } catch (error) {
     console.error("Reject request error:", error);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { revokeFamily } = require('../utils/tokens');
+
+// @desc    Get the devices the current user is logged in on
+// @route   GET /api/me/sessions
+// @access  Private
+exports.getMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user_id: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select('device ip location lastSeenAt createdAt')
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    const current = req.sessionId ? req.sessionId.toString() : null;
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === current,
+      })),
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Log out one device. Its refresh token stops working and its
+//          access token is rejected straight away.
+// @route   DELETE /api/me/sessions/:id
+// @access  Private
+exports.revokeMySession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user_id: req.user._id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    await revokeFamily(session._id.toString(), 'revoked_by_user');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,225 @@
+const User = require('../models/User');
+const { generateSecret, otpauthUrl, verifyTotp } = require('../utils/totp');
+const {
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  findWithTwoFactor,
+  verifySecondFactor,
+} = require('../utils/twoFactor');
+
+// @desc    Get the current user's 2FA status
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await findWithTwoFactor(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      required: isTwoFactorRequired(user),
+      recoveryCodesLeft: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0,
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Start enrolment: create a secret to scan into an authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await findWithTwoFactor(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code, then confirm with a code from the app',
+      secret,
+      otpauthUrl: otpauthUrl(secret, user.email),
+    });
+  } catch (error) {
+    console.error('Setup 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Finish enrolment with the first code from the app. Returns the
+//          recovery codes - they are only shown this once.
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await findWithTwoFactor(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first',
+      });
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        code: 'TWO_FACTOR_INVALID',
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastStep = step;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error('Enable 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Replace the recovery codes (needs a current code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await findWithTwoFactor(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!(await verifySecondFactor(user, req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        code: 'TWO_FACTOR_INVALID',
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { twoFactorRecoveryCodes: hashes });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Turn 2FA off (needs the password and a code). Not allowed for
+//          staff, for whom 2FA is mandatory.
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await findWithTwoFactor(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for staff accounts',
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    if (!(await verifySecondFactor(user, code))) {
+      return res.status(401).json({
+        success: false,
+        code: 'TWO_FACTOR_INVALID',
+        message: 'Invalid authentication code',
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        twoFactorEnabled: false,
+        twoFactorEnabledAt: null,
+        twoFactorLastStep: -1,
+        $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorRecoveryCodes: 1 },
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('Disable 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
@@ -1,12 +1,10 @@
+const mongoose = require('mongoose');
 const UpgradeRequest = require('../models/UpgradeRequest');
 const User = require('../models/User');
-const Transaction = require('../models/Transaction');
-
-const PLAN_PRICING = {
-  knowic: { price: 24, direct: 16, passive: 2 },
-  learnic: { price: 59, direct: 40, passive: 4 },
-  masteric: { price: 130, direct: 85, passive: 7 },
-};
+const { postPlanPurchase } = require('../utils/ledger');
+const { getPlan, snapshotPricing } = require('../utils/plans');
+const { calculateCommissions } = require('../utils/commissions');
+const { discountTerms, discountedPrice } = require('../utils/discounts');
 
 // Create upgrade request
 exports.createUpgradeRequest = async (req, res) => {
@@ -30,9 +28,15 @@ exports.createUpgradeRequest = async (req, res) => {
       return res.status(400).json({ message: 'You are already on this plan' });
     }
 
+    // Check the target plan is on sale
+    const newPlan = await getPlan(new_plan);
+    if (!newPlan || !newPlan.active) {
+      return res.status(400).json({ message: 'Selected plan is not available' });
+    }
+
     // Check if user is trying to downgrade
-    const planHierarchy = { knowic: 1, learnic: 2, masteric: 3 };
-    if (planHierarchy[new_plan] <= planHierarchy[user.plan]) {
+    const currentPlan = await getPlan(user.plan);
+    if (currentPlan && newPlan.rank <= currentPlan.rank) {
       return res.status(400).json({ message: 'You can only upgrade to a higher plan' });
     }
 
@@ -52,13 +56,8 @@ exports.createUpgradeRequest = async (req, res) => {
     }
 
     // Check if referrer's plan can refer the new plan
-    const PLAN_HIERARCHY = {
-      knowic: ['knowic'],
-      learnic: ['knowic', 'learnic'],
-      masteric: ['knowic', 'learnic', 'masteric']
-    };
-
-    const allowedPlans = PLAN_HIERARCHY[referrer.plan];
+    const referrerPlan = await getPlan(referrer.plan);
+    const allowedPlans = referrerPlan ? referrerPlan.referable : [];
     if (!allowedPlans.includes(new_plan)) {
       // Determine what plan referrer needs
       const requiredPlan = new_plan; // They need at least the target plan
@@ -109,7 +108,16 @@ exports.getUserUpgradeRequest = async (req, res) => {
       status: { $in: ['created', 'user_approved'] },
     });
 
-    res.status(200).json({ upgradeRequest });
+    // Without an open request, show why the latest one was rejected (if it was)
+    let lastRejected = null;
+    if (!upgradeRequest) {
+      const latest = await UpgradeRequest.findOne({ user_id: userId }).sort({ createdAt: -1 });
+      if (latest && latest.status === 'rejected') {
+        lastRejected = latest;
+      }
+    }
+
+    res.status(200).json({ upgradeRequest, lastRejected });
   } catch (error) {
     console.error('Get user upgrade request error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -140,7 +148,7 @@ exports.referrerApproveRequest = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const { discounted, discountAmount, originalPrice, finalPrice } = req.body;
+    const { discounted } = req.body;
 
     const upgradeRequest = await UpgradeRequest.findById(id);
     if (!upgradeRequest) {
@@ -164,23 +172,35 @@ exports.referrerApproveRequest = async (req, res) => {
 
     const proof_image = req.file.path;
 
-    // Update request
-    upgradeRequest.proof_image = proof_image;
-    upgradeRequest.status = 'user_approved';
+    // Update request - conditional on it still being in created status, so
+    // two concurrent approvals (or an approval racing a rejection) can't both win
+    const update = {
+      proof_image,
+      status: 'user_approved',
+    };
 
-    // Add discount fields if this is a discounted upgrade
+    // Discounted prices come from the plan, never from the client
     if (discounted === 'true' || discounted === true) {
-      upgradeRequest.discounted = true;
-      upgradeRequest.discountAmount = parseFloat(discountAmount) || 0;
-      upgradeRequest.originalPrice = parseFloat(originalPrice) || 0;
-      upgradeRequest.finalPrice = parseFloat(finalPrice) || 0;
+      const terms = await discountTerms(await getPlan(upgradeRequest.new_plan));
+      if (!terms) {
+        return res.status(400).json({ message: 'Discounts are not available for this plan' });
+      }
+      Object.assign(update, terms);
     }
 
-    await upgradeRequest.save();
+    const updatedRequest = await UpgradeRequest.findOneAndUpdate(
+      { _id: id, new_referrer_id: userId, status: 'created' },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!updatedRequest) {
+      return res.status(409).json({ message: 'This request has already been processed' });
+    }
 
     res.status(200).json({
       message: 'Upgrade request approved successfully. Waiting for admin approval.',
-      upgradeRequest,
+      upgradeRequest: updatedRequest,
     });
   } catch (error) {
     console.error('Referrer approve request error:', error);
@@ -209,11 +229,31 @@ exports.referrerRejectRequest = async (req, res) => {
       return res.status(400).json({ message: 'This request has already been processed' });
     }
 
-    // Delete the request entirely
-    await UpgradeRequest.findByIdAndDelete(id);
+    // Keep the request so the user can see why it was rejected. Claimed
+    // like the referrer's approval, so the two cannot both win.
+    const rejected = await UpgradeRequest.findOneAndUpdate(
+      { _id: id, new_referrer_id: userId, status: 'created' },
+      {
+        $set: {
+          status: 'rejected',
+          rejection: {
+            reasonCode: req.body.reasonCode,
+            note: req.body.note || null,
+            by: req.user._id,
+            at: new Date(),
+          },
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!rejected) {
+      return res.status(409).json({ message: 'This request has already been processed' });
+    }
 
     res.status(200).json({
-      message: 'Upgrade request rejected and deleted successfully',
+      message: 'Upgrade request rejected successfully',
+      upgradeRequest: rejected,
     });
   } catch (error) {
     console.error('Referrer reject request error:', error);
@@ -239,86 +279,121 @@ exports.getAllUpgradeRequests = async (req, res) => {
 };
 
 // Approve upgrade request (admin)
+// Every write (user plan, commissions, ledger, request status) happens in one
+// MongoDB transaction, and the request is claimed with a conditional status
+// update first, so a retried or concurrent approval can never pay twice.
 exports.approveUpgradeRequest = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
   try {
     const { id } = req.params;
 
-    const upgradeRequest = await UpgradeRequest.findById(id);
+    const upgradeRequest = await UpgradeRequest.findById(id).session(session);
     if (!upgradeRequest) {
+      await session.abortTransaction();
+      session.endSession();
       return res.status(404).json({ message: 'Upgrade request not found' });
     }
 
     if (upgradeRequest.status !== 'user_approved') {
+      await session.abortTransaction();
+      session.endSession();
       return res.status(400).json({ message: 'This request has already been processed or not yet approved by referrer' });
     }
 
     // Get user
-    const user = await User.findById(upgradeRequest.user_id);
+    const user = await User.findById(upgradeRequest.user_id).session(session);
     if (!user) {
+      await session.abortTransaction();
+      session.endSession();
       return res.status(404).json({ message: 'User not found' });
     }
 
     // Get new referrer
-    const newReferrer = await User.findById(upgradeRequest.new_referrer_id);
+    const newReferrer = await User.findById(upgradeRequest.new_referrer_id).session(session);
     if (!newReferrer) {
+      await session.abortTransaction();
+      session.endSession();
       return res.status(404).json({ message: 'New referrer not found' });
     }
 
-    // Get plan pricing
-    const pricing = PLAN_PRICING[upgradeRequest.new_plan];
+    // Get plan pricing (frozen onto the request below)
+    const plan = await getPlan(upgradeRequest.new_plan);
+    if (!plan) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'The requested plan no longer exists' });
+    }
+    const pricing = snapshotPricing(plan);
+
+    // Book discounted upgrades at the price the snapshot allows, and keep
+    // the request's discount fields in line with what is booked
+    const price = upgradeRequest.discounted ? discountedPrice(pricing) : pricing.price;
+    const booked = { status: 'approved', pricing };
+    if (upgradeRequest.discounted) {
+      booked.originalPrice = pricing.price;
+      booked.finalPrice = price;
+      booked.discountAmount = Math.round((pricing.price - price) * 100) / 100;
+    }
+
+    // Claim the request - only one approval can move it out of user_approved
+    const claimed = await UpgradeRequest.findOneAndUpdate(
+      { _id: id, status: 'user_approved' },
+      { $set: booked },
+      { new: true, session }
+    );
+    if (!claimed) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({ message: 'This request is already being processed' });
+    }
 
     // Update user's plan and referral_of
     user.plan = upgradeRequest.new_plan;
     user.referral_of = upgradeRequest.new_referrer_id;
-    await user.save();
-
-    // Give direct commission to new referrer
-    newReferrer.direct_income += pricing.direct;
-    newReferrer.balance += pricing.direct;
-    await newReferrer.save();
-
-    // Create direct transaction
-    await Transaction.create({
-      user_id: newReferrer._id,
-      type: 'direct',
-      amount: pricing.direct,
-    });
-
-    // Give passive commission to new referrer's referrer (if exists AND upgrade is not discounted)
-    if (newReferrer.referral_of) {
-      const grandReferrer = await User.findById(newReferrer.referral_of);
-      // Only give passive income if the upgrade is NOT discounted
-      const isUpgradeDiscounted = upgradeRequest.discounted === true;
-
-      if (grandReferrer && !isUpgradeDiscounted) {
-        grandReferrer.passive_income += pricing.passive;
-        grandReferrer.balance += pricing.passive;
-        await grandReferrer.save();
-
-        // Create passive transaction
-        await Transaction.create({
-          user_id: grandReferrer._id,
-          type: 'passive',
-          amount: pricing.passive,
-        });
-      }
-    }
-
-    // Update upgrade request status
-    upgradeRequest.status = 'approved';
-    await upgradeRequest.save();
+    await user.save({ session });
+
+    // Pay the new referrer and their upline (no passive income on discounted upgrades)
+    const commissions = await calculateCommissions(
+      {
+        pricing,
+        firstBeneficiaryId: newReferrer._id,
+        discounted: upgradeRequest.discounted === true,
+      },
+      { session }
+    );
+
+    // Post the upgrade sale and commissions to the ledger (updates balances too)
+    await postPlanPurchase(
+      {
+        type: 'plan_upgrade',
+        reference: { model: 'UpgradeRequest', id: upgradeRequest._id },
+        plan: upgradeRequest.new_plan,
+        planVersion: pricing.planVersion,
+        price,
+        commissions,
+      },
+      { session }
+    );
+
+    // Commit transaction
+    await session.commitTransaction();
+    session.endSession();
 
     res.status(200).json({
       message: 'Upgrade request approved successfully',
-      upgradeRequest,
+      upgradeRequest: claimed,
     });
   } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
     console.error('Approve upgrade request error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
-// Reject upgrade request (admin) - delete entirely
+// Reject upgrade request (admin)
 exports.rejectUpgradeRequest = async (req, res) => {
   try {
     const { id } = req.params;
@@ -332,11 +407,31 @@ exports.rejectUpgradeRequest = async (req, res) => {
       return res.status(400).json({ message: 'This request has already been processed or not yet approved by referrer' });
     }
 
-    // Delete the request entirely
-    await UpgradeRequest.findByIdAndDelete(id);
+    // Keep the request so the user can see why it was rejected. Claimed
+    // like an approval, so it cannot undo one that landed in the meantime.
+    const rejected = await UpgradeRequest.findOneAndUpdate(
+      { _id: id, status: 'user_approved' },
+      {
+        $set: {
+          status: 'rejected',
+          rejection: {
+            reasonCode: req.body.reasonCode,
+            note: req.body.note || null,
+            by: req.user._id,
+            at: new Date(),
+          },
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!rejected) {
+      return res.status(409).json({ message: 'This request is already being processed' });
+    }
 
     res.status(200).json({
-      message: 'Upgrade request rejected and deleted successfully',
+      message: 'Upgrade request rejected successfully',
+      upgradeRequest: rejected,
     });
   } catch (error) {
     console.error('Reject upgrade request error:', error);
@@ -5,13 +5,28 @@ const Ebook = require("../models/Ebook");
 const fs = require("fs");
 const path = require("path");
 const mongoose = require("mongoose");
-
-// Plan pricing structure (same as in requestController)
-const PLAN_PRICING = {
-  knowic: { price: 24, direct: 16, passive: 2 },
-  learnic: { price: 59, direct: 40, passive: 4 },
-  masteric: { price: 130, direct: 85, passive: 7 },
-};
+const {
+  getPlan,
+  getPlans,
+  getPlanMap,
+  changeUserPlan,
+} = require("../utils/plans");
+const { getRevenueByDay } = require("../utils/ledger");
+const {
+  planChangeValue,
+  planChangeNeedsSecondApproval,
+  requestSecondApproval,
+} = require("../utils/dualApproval");
+const {
+  issueTokens,
+  revokeAllRefreshTokens,
+} = require("../utils/tokens");
+const {
+  ROLES,
+  getPermissions,
+  hasPermission,
+  isStaff,
+} = require("../utils/permissions");
 
 // @desc    Get all users with pagination and search
 // @route   GET /api/users
@@ -25,7 +40,7 @@ exports.getAllUsers = async (req, res) => {
     const status = req.query.status || ""; // Add status filter
 
     // Build query
-    const query = { role: { $ne: "admin" } };
+    const query = { role: "user" }; // Members only, no staff accounts
 
     // Add status filter if provided
     if (status) {
@@ -124,7 +139,42 @@ exports.updateUser = async (req, res) => {
   session.startTransaction();
 
   try {
-    const { name, email, password, banned, plan } = req.body;
+    const { name, email, password, banned, plan, role } = req.body;
+
+    // Each kind of change needs its own permission
+    const needed = [];
+    if (name || email || password || plan !== undefined) needed.push("users:write");
+    if (banned !== undefined) needed.push("users:ban");
+    if (role !== undefined) needed.push("roles:manage");
+
+    const missing = needed.filter((p) => !hasPermission(req.user.role, p));
+    if (missing.length > 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({
+        success: false,
+        message: `User role '${req.user.role}' is missing permission: ${missing.join(", ")}`,
+      });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(", ")}`,
+      });
+    }
+
+    // Nobody can change their own role (e.g. lock themselves out)
+    if (role !== undefined && req.params.id === req.user._id.toString()) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own role",
+      });
+    }
 
     const user = await User.findById(req.params.id).session(session);
 
@@ -138,40 +188,81 @@ exports.updateUser = async (req, res) => {
     }
 
     const oldPlan = user.plan;
+    const newPlan = plan !== undefined ? await getPlan(plan) : null;
+
+    // A plan can only be set to one from the catalogue (or cleared)
+    if (plan && !newPlan) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: "Invalid plan",
+      });
+    }
+
+    // Plan changes above the threshold wait for a second admin
+    const planChanging = plan !== undefined && (plan || null) !== (oldPlan || null);
+    let dualApproval = null;
+
+    if (planChanging) {
+      const value = planChangeValue(await getPlan(oldPlan), newPlan);
+
+      if (planChangeNeedsSecondApproval(value)) {
+        const { approval } = await requestSecondApproval(
+          {
+            action: "user.plan_change",
+            targetModel: "User",
+            targetId: user._id,
+            payload: { from: oldPlan || null, to: plan || null },
+            amount: value,
+            requestedBy: req.user._id,
+          },
+          { session }
+        );
+
+        if (approval.payload.to !== (plan || null)) {
+          await session.abortTransaction();
+          session.endSession();
+          return res.status(409).json({
+            success: false,
+            message: "Another plan change for this user is already awaiting approval",
+            dualApproval: approval,
+          });
+        }
+
+        dualApproval = approval;
+      }
+    }
 
     // Update fields if provided
     if (name) user.name = name;
     if (email) user.email = email;
     if (password) user.password = password; // Will be hashed by pre-save hook
     if (banned !== undefined) user.banned = banned;
-    if (plan !== undefined) user.plan = plan || null; // Allow setting to null/empty
+    if (role !== undefined) user.role = role;
 
-    await user.save({ session });
-
-    // If plan was changed, update the corresponding approved request
-    if (plan !== undefined && oldPlan !== plan) {
-      // Find the approved request for this user
-      const approvedRequest = await Request.findOne({
-        user_id: user._id,
-        status: "approved",
-      }).session(session);
-
-      if (approvedRequest) {
-        // Update the request's plan to match the new plan
-        approvedRequest.plan = plan || oldPlan;
-        await approvedRequest.save({ session });
-        console.log(
-          `Updated request ${approvedRequest._id} plan from ${oldPlan} to ${plan}`
-        );
-      }
+    if (planChanging && !dualApproval) {
+      await changeUserPlan(user, plan, { session });
+    } else {
+      await user.save({ session });
     }
 
     await session.commitTransaction();
     session.endSession();
 
-    res.status(200).json({
+    // A new password or a ban logs the user out of every device
+    if (password) {
+      await revokeAllRefreshTokens(user._id, "password_change");
+    } else if (banned === true) {
+      await revokeAllRefreshTokens(user._id, "banned");
+    }
+
+    res.status(dualApproval ? 202 : 200).json({
       success: true,
-      message: "User updated successfully",
+      message: dualApproval
+        ? "User updated; the plan change needs a second admin's approval"
+        : "User updated successfully",
+      dualApproval,
       user: {
         _id: user._id,
         name: user.name,
@@ -213,11 +304,11 @@ exports.deleteUser = async (req, res) => {
       });
     }
 
-    // Don't allow deleting admin users
-    if (user.role === "admin") {
+    // Don't allow deleting staff accounts
+    if (isStaff(user.role)) {
       return res.status(403).json({
         success: false,
-        message: "Cannot delete admin users",
+        message: "Cannot delete staff users",
       });
     }
 
@@ -284,44 +375,8 @@ exports.getMe = async (req, res) => {
       });
     }
 
-    // Get all transactions for this user (for balance calculation)
-    const allTransactions = await Transaction.find({ user_id: user._id });
-
-    // Calculate balance from transactions
-    const calculatedBalance = allTransactions.reduce((sum, transaction) => {
-      if (transaction.type === "withdrawal") {
-        return sum - transaction.amount;
-      }
-      return sum + transaction.amount;
-    }, 0);
-
-    // Auto-correct balance if mismatched
-    if (user.balance !== calculatedBalance) {
-      user.balance = calculatedBalance;
-      await user.save();
-    }
-
-    // Calculate income totals from transactions
-    const directIncome = allTransactions
-      .filter((t) => t.type === "direct")
-      .reduce((sum, t) => sum + t.amount, 0);
-
-    const passiveIncome = allTransactions
-      .filter((t) => t.type === "passive" || t.type === "withdrawal")
-      .reduce(
-        (sum, t) => (t.type === "withdrawal" ? sum - t.amount : sum + t.amount),
-        0
-      );
-
-    // Auto-correct income fields if mismatched
-    if (
-      user.direct_income !== directIncome ||
-      user.passive_income !== passiveIncome
-    ) {
-      user.direct_income = directIncome;
-      user.passive_income = passiveIncome;
-      await user.save();
-    }
+    // balance, direct_income and passive_income are snapshots kept in step
+    // with the ledger by utils/ledger, so they are returned as stored
 
     // Get latest 5 transactions for display
     const transactions = await Transaction.find({ user_id: user._id })
@@ -347,65 +402,32 @@ exports.getMe = async (req, res) => {
       "name plan createdAt"
     );
 
-    // Get latest 5 referrals by plan type
-    const knowic_referrals = await User.find({
-      referral_of: user._id,
-      plan: "knowic",
-    })
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .select("name createdAt")
-      .then((refs) =>
-        refs.map((r) => ({
-          _id: r._id,
-          name: r.name,
-          joinDate: r.createdAt,
-        }))
-      );
+    // Get latest 5 referrals and the count for each plan type
+    // (exposed as `<plan>_referrals` and `<plan>Count`)
+    const plans = await getPlans();
+    const referralsByPlan = {};
 
-    const learnic_referrals = await User.find({
-      referral_of: user._id,
-      plan: "learnic",
-    })
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .select("name createdAt")
-      .then((refs) =>
-        refs.map((r) => ({
-          _id: r._id,
-          name: r.name,
-          joinDate: r.createdAt,
-        }))
-      );
-
-    const masteric_referrals = await User.find({
-      referral_of: user._id,
-      plan: "masteric",
-    })
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .select("name createdAt")
-      .then((refs) =>
-        refs.map((r) => ({
-          _id: r._id,
-          name: r.name,
-          joinDate: r.createdAt,
-        }))
-      );
+    for (const plan of plans) {
+      referralsByPlan[`${plan.key}_referrals`] = await User.find({
+        referral_of: user._id,
+        plan: plan.key,
+      })
+        .sort({ createdAt: -1 })
+        .limit(5)
+        .select("name createdAt")
+        .then((refs) =>
+          refs.map((r) => ({
+            _id: r._id,
+            name: r.name,
+            joinDate: r.createdAt,
+          }))
+        );
 
-    // Get counts for each plan type
-    const knowicCount = await User.countDocuments({
-      referral_of: user._id,
-      plan: "knowic",
-    });
-    const learnicCount = await User.countDocuments({
-      referral_of: user._id,
-      plan: "learnic",
-    });
-    const mastericCount = await User.countDocuments({
-      referral_of: user._id,
-      plan: "masteric",
-    });
+      referralsByPlan[`${plan.key}Count`] = await User.countDocuments({
+        referral_of: user._id,
+        plan: plan.key,
+      });
+    }
 
     // Check if user is pending and has no referrer
     // If they have a pending request, modify referral_of to prevent showing self-approve modal again
@@ -441,12 +463,23 @@ exports.getMe = async (req, res) => {
           status: "pending",
         });
 
+        // Why the last request for this user was rejected, if it was
+        const latestRequest = pendingRequest
+          ? null
+          : await Request.findOne({ user_id: pendingUser._id })
+              .sort({ createdAt: -1 })
+              .select("status rejection");
+
         return {
           _id: pendingUser._id,
           name: pendingUser.name,
           email: pendingUser.email,
           joinDate: pendingUser.createdAt,
           request: !!pendingRequest, // true if request exists, false otherwise
+          rejection:
+            latestRequest && latestRequest.status === "rejected"
+              ? latestRequest.rejection
+              : null,
         };
       })
     );
@@ -458,15 +491,31 @@ exports.getMe = async (req, res) => {
       status: "pending",
       referral_of: user._id,
     });
+    // Show why the user's latest plan request was rejected, if it was
+    const latestOwnRequest = await Request.findOne({ user_id: user._id })
+      .sort({ createdAt: -1 })
+      .select("plan status rejection createdAt");
+    const lastRejectedRequest =
+      latestOwnRequest && latestOwnRequest.status === "rejected"
+        ? latestOwnRequest
+        : null;
+
     // Prepare user data (excluding password)
     const userData = {
       _id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
+      permissions: getPermissions(user.role),
+      emailVerified: user.emailVerified !== false,
+      twoFactorEnabled: user.twoFactorEnabled,
+      twoFactorRequired: isStaff(user.role),
       balance: user.balance,
       direct_income: user.direct_income,
       passive_income: user.passive_income,
+      // Passive income reserved by pending withdrawals, and what is left to withdraw
+      held_balance: user.held_balance || 0,
+      available_balance: user.passive_income - (user.held_balance || 0),
       referral_code: user.referral_code,
       referral_of: modifiedReferralOf,
       status: user.status,
@@ -484,13 +533,9 @@ exports.getMe = async (req, res) => {
       user: userData,
       transactions: formattedTransactions,
       transactionsCount: totalTransactions,
+      lastRejectedRequest,
       referrals: {
-        knowic_referrals,
-        knowicCount,
-        learnic_referrals,
-        learnicCount,
-        masteric_referrals,
-        mastericCount,
+        ...referralsByPlan,
         pending_users,
         pendingUsersCount,
         total: allReferrals.length,
@@ -547,10 +592,10 @@ exports.loadMoreTransactions = async (req, res) => {
 exports.loadMoreReferrals = async (req, res) => {
   try {
     const skip = parseInt(req.query.skip) || 0;
-    const plan = req.query.plan; // knowic, learnic, or masteric
+    const plan = req.query.plan; // Any plan key from the catalogue
     const limit = 5;
 
-    if (!plan || !["knowic", "learnic", "masteric"].includes(plan)) {
+    if (!plan || !(await getPlan(plan))) {
       return res.status(400).json({
         success: false,
         message: "Invalid or missing plan parameter",
@@ -735,9 +780,15 @@ exports.changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Log out every other device; this one gets a fresh pair of tokens
+    await revokeAllRefreshTokens(user._id, "password_change");
+    const { token, refreshToken } = await issueTokens(user, req);
+
     res.status(200).json({
       success: true,
       message: "Password changed successfully",
+      token,
+      refreshToken,
     });
   } catch (error) {
     console.error("Change password error:", error);
@@ -791,7 +842,7 @@ exports.getIncomeStats = async (req, res) => {
 
     // Calculate balance from filtered transactions
     const balance = transactions.reduce((sum, transaction) => {
-      if (transaction.type === "withdrawal") {
+      if (["withdrawal", "withdrawal_fee"].includes(transaction.type)) {
         return sum - transaction.amount;
       }
       return sum + transaction.amount;
@@ -804,9 +855,14 @@ exports.getIncomeStats = async (req, res) => {
 
     // Calculate passive income
     const passiveIncome = transactions
-      .filter((t) => t.type === "passive" || t.type === "withdrawal")
+      .filter((t) =>
+        ["passive", "withdrawal", "withdrawal_fee", "reversal"].includes(t.type)
+      )
       .reduce(
-        (sum, t) => (t.type === "withdrawal" ? sum - t.amount : sum + t.amount),
+        (sum, t) =>
+          ["withdrawal", "withdrawal_fee"].includes(t.type)
+            ? sum - t.amount
+            : sum + t.amount,
         0
       );
 
@@ -836,89 +892,32 @@ exports.getAdminDashboardStats = async (req, res) => {
   try {
     // 1. Get all approved requests
     const approvedRequests = await Request.find({ status: "approved" });
+    const plans = await getPlanMap();
 
-    // 2. Calculate total revenue (admin profit)
-    let totalRevenue = 0;
-    approvedRequests.forEach((request) => {
-      const pricing = PLAN_PRICING[request.plan];
-      if (!pricing) return;
-
-      // If self-approval: revenue = price
-      // If referred: revenue = price - direct
-      if (request.user_id.toString() === request.sender_id.toString()) {
-        totalRevenue += pricing.price;
-      } else {
-        totalRevenue += pricing.price - pricing.direct;
-      }
-    });
+    // 2. Total revenue (admin profit) is what the platform_revenue ledger
+    // account holds: sale prices less every commission paid, plus fees
+    const revenueData = await getRevenueByDay();
+    const totalRevenue =
+      Math.round(revenueData.reduce((sum, day) => sum + day.revenue, 0) * 100) / 100;
 
-    // 3. Count total approved users (excluding admins, only active status)
-    const totalUsers = await User.countDocuments({ role: { $ne: "admin" }, status: "active" });
+    // 3. Count total approved users (excluding staff, only active status)
+    const totalUsers = await User.countDocuments({ role: "user", status: "active" });
 
     // 4. Count total ebooks
     const totalEbooks = await Ebook.countDocuments();
 
     // 5. Calculate plan distribution (percentage)
-    const knowicRequests = approvedRequests.filter(
-      (r) => r.plan === "knowic"
-    ).length;
-    const learnicRequests = approvedRequests.filter(
-      (r) => r.plan === "learnic"
-    ).length;
-    const mastericRequests = approvedRequests.filter(
-      (r) => r.plan === "masteric"
-    ).length;
     const totalRequests = approvedRequests.length;
+    const planDistribution = {};
 
-    const planDistribution = {
-      knowic:
-        totalRequests > 0
-          ? Math.round((knowicRequests / totalRequests) * 100)
-          : 0,
-      learnic:
-        totalRequests > 0
-          ? Math.round((learnicRequests / totalRequests) * 100)
-          : 0,
-      masteric:
-        totalRequests > 0
-          ? Math.round((mastericRequests / totalRequests) * 100)
-          : 0,
-    };
-
-    // 6. Generate revenue over time (frequency distribution)
-    // Group approved requests by date and calculate revenue
-    const revenueOverTime = {};
-    approvedRequests.forEach((request) => {
-      const date = new Date(request.createdAt);
-      const dateKey = date.toISOString().split("T")[0]; // YYYY-MM-DD
-
-      const pricing = PLAN_PRICING[request.plan];
-      if (!pricing) return;
-
-      let revenue = 0;
-      if (request.user_id.toString() === request.sender_id.toString()) {
-        revenue = pricing.price;
-      } else {
-        revenue = pricing.price - pricing.direct;
-      }
-
-      if (revenueOverTime[dateKey]) {
-        revenueOverTime[dateKey] += revenue;
-      } else {
-        revenueOverTime[dateKey] = revenue;
-      }
+    Object.keys(plans).forEach((key) => {
+      const planRequests = approvedRequests.filter((r) => r.plan === key).length;
+      planDistribution[key] =
+        totalRequests > 0 ? Math.round((planRequests / totalRequests) * 100) : 0;
     });
 
-    // Convert to array and sort by date
-    const revenueData = Object.keys(revenueOverTime)
-      .sort()
-      .map((date) => ({
-        date,
-        revenue: revenueOverTime[date],
-      }));
-
-    // 7. Generate users over time (frequency distribution) - only approved users
-    const allUsers = await User.find({ role: { $ne: "admin" }, status: "active" })
+    // 6. Generate users over time (frequency distribution) - only approved users
+    const allUsers = await User.find({ role: "user", status: "active" })
       .select("createdAt")
       .sort({ createdAt: 1 });
 
@@ -1,6 +1,18 @@
 const Withdraw = require('../models/Withdraw');
 const User = require('../models/User');
-const Transaction = require('../models/Transaction');
+const PayoutMethod = require('../models/PayoutMethod');
+const { captureWithdrawal, failWithdrawal, placeHold, releaseHold } = require('../utils/ledger');
+const {
+  getEffectivePolicy,
+  getUsage,
+  checkWithdrawal,
+  calculateFee,
+} = require('../utils/withdrawalPolicy');
+const {
+  withdrawalNeedsSecondApproval,
+  requestSecondApproval,
+  cancelPendingApprovals,
+} = require('../utils/dualApproval');
 const mongoose = require('mongoose');
 
 // @desc    Create a new withdrawal request
@@ -8,22 +20,22 @@ const mongoose = require('mongoose');
 // @access  Private (User)
 exports.createWithdrawal = async (req, res) => {
   try {
-    const { bankName, bankAccountNumber, amount } = req.body;
+    const { payoutMethodId } = req.body;
+    const amount = Number(req.body.amount);
     const userId = req.user._id;
 
     // Input validation
-    if (!bankName || !bankAccountNumber || !amount) {
+    if (!req.body.amount || isNaN(amount) || amount <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide bank name, account number, and amount',
+        message: 'Please provide a valid amount',
       });
     }
 
-    // Validate amount is a number and >= 30
-    if (isNaN(amount) || amount < 30) {
+    if (payoutMethodId && !mongoose.isValidObjectId(payoutMethodId)) {
       return res.status(400).json({
         success: false,
-        message: 'Withdrawal amount must be at least $30',
+        message: 'Invalid payout method',
       });
     }
 
@@ -36,35 +48,102 @@ exports.createWithdrawal = async (req, res) => {
       });
     }
 
-    // Check if user has sufficient passive income
-    if (user.passive_income < amount) {
+    // Check if user has sufficient available (unreserved) passive income
+    if (user.passive_income - (user.held_balance || 0) < amount) {
       return res.status(400).json({
         success: false,
         message: 'Insufficient passive income balance',
       });
     }
 
-    // Check if user already has a pending withdrawal
-    const existingPendingWithdrawal = await Withdraw.findOne({
+    // Pay out to the chosen saved method, or the user's default one
+    const payoutMethod = await PayoutMethod.findOne({
       user_id: userId,
-      status: 'pending',
+      archived: false,
+      ...(payoutMethodId ? { _id: payoutMethodId } : { isDefault: true }),
     });
 
-    if (existingPendingWithdrawal) {
+    if (!payoutMethod) {
       return res.status(400).json({
         success: false,
-        message: 'You already have a pending withdrawal request. Please wait for it to be processed.',
+        message: payoutMethodId
+          ? 'Payout method not found'
+          : 'Please add a payout method before withdrawing',
       });
     }
 
-    // Create new withdrawal request
-    const withdrawal = await Withdraw.create({
-      user_id: userId,
-      bankName,
-      bankAccountNumber,
-      amount,
-      status: 'pending',
-    });
+    if (payoutMethod.verificationStatus !== 'verified') {
+      return res.status(400).json({
+        success: false,
+        message: 'This payout method has not been verified yet',
+      });
+    }
+
+    const rules = await getEffectivePolicy(user.plan);
+    const fee = calculateFee(rules, amount);
+
+    // Reserve the amount, check the policy and create the request together,
+    // so a failed create never leaves money on hold
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let withdrawal;
+    try {
+      // The hold writes the user document first, which also locks the user's
+      // withdrawals: a parallel request conflicts here instead of passing the
+      // limits on the same usage
+      const reserved = await placeHold(userId, amount, { session });
+      if (!reserved) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({
+          success: false,
+          message: 'Insufficient passive income balance',
+        });
+      }
+
+      // Limits, cooldown and pending rules of the withdrawal policy
+      const usage = await getUsage(userId, rules, { session });
+      const violation = checkWithdrawal(rules, usage, amount);
+
+      if (violation) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({
+          success: false,
+          message: violation,
+        });
+      }
+
+      [withdrawal] = await Withdraw.create(
+        [
+          {
+            user_id: userId,
+            payout_method_id: payoutMethod._id,
+            amount,
+            fee,
+            status: 'pending',
+            held: true,
+          },
+        ],
+        { session }
+      );
+
+      await session.commitTransaction();
+      session.endSession();
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+
+      // Another withdrawal of this user is being created right now
+      if (error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError')) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another withdrawal request is being processed. Please try again.',
+        });
+      }
+      throw error;
+    }
 
     res.status(201).json({
       success: true,
@@ -89,9 +168,9 @@ exports.getUserWithdrawals = async (req, res) => {
     const userId = req.user._id;
 
     // Get all withdrawals for the user, sorted by most recent first
-    const withdrawals = await Withdraw.find({ user_id: userId }).sort({
-      createdAt: -1,
-    });
+    const withdrawals = await Withdraw.find({ user_id: userId })
+      .populate('payout_method_id')
+      .sort({ createdAt: -1 });
 
     res.status(200).json({
       success: true,
@@ -107,6 +186,68 @@ exports.getUserWithdrawals = async (req, res) => {
   }
 };
 
+// @desc    Cancel the user's own pending withdrawal (kept as `cancelled`)
+// @route   DELETE /api/withdraw/:id
+// @access  Private (User)
+exports.cancelWithdrawal = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const withdrawal = await Withdraw.findOne({
+      _id: req.params.id,
+      user_id: req.user._id,
+    }).session(session);
+
+    if (!withdrawal) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Withdrawal not found',
+      });
+    }
+
+    if (!withdrawal.canTransitionTo('cancelled')) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending withdrawals can be cancelled',
+      });
+    }
+
+    withdrawal.transition('cancelled', req.user._id, 'Cancelled by user');
+    await withdrawal.save({ session });
+
+    // Release the reserved amount back to the user's available balance
+    if (withdrawal.held) {
+      await releaseHold(withdrawal.user_id, withdrawal.amount, { session });
+    }
+
+    // A second admin can no longer approve it
+    await cancelPendingApprovals(withdrawal._id, 'Withdrawal cancelled by user', { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({
+      success: true,
+      message: 'Withdrawal cancelled successfully',
+      withdrawal,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error('Cancel withdrawal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
 // @desc    Get all pending withdrawals (Admin only)
 // @route   GET /api/admin/withdraws/pending
 // @access  Private (Admin)
@@ -122,6 +263,7 @@ exports.getPendingWithdrawals = async (req, res) => {
     // Get pending withdrawals with pagination, oldest first
     const withdrawals = await Withdraw.find({ status: 'pending' })
       .populate('user_id', 'name email')
+      .populate('payout_method_id')
       .skip(skip)
       .limit(limit)
       .sort({ createdAt: 1 }); // Oldest first
@@ -132,7 +274,8 @@ exports.getPendingWithdrawals = async (req, res) => {
       total,
       page,
       pages: Math.ceil(total / limit),
-      withdrawals,
+      // toObject() keeps the full payout destination that JSON responses mask
+      withdrawals: withdrawals.map((w) => w.toObject()),
     });
   } catch (error) {
     console.error('Get pending withdrawals error:', error);
@@ -196,25 +339,37 @@ exports.approveWithdrawal = async (req, res) => {
       });
     }
 
-    // Update withdrawal status
-    withdrawal.status = 'approved';
-    await withdrawal.save({ session });
-
-    // Deduct amount from user's passive income
-    user.passive_income -= withdrawal.amount;
-    await user.save({ session });
-
-    // Create transaction record
-    await Transaction.create(
-      [
+    // Large withdrawals wait for a second admin
+    if (withdrawalNeedsSecondApproval(withdrawal)) {
+      const { approval, created } = await requestSecondApproval(
         {
-          user_id: user._id,
-          type: 'withdrawal',
+          action: 'withdrawal.approve',
+          targetModel: 'Withdraw',
+          targetId: withdrawal._id,
           amount: withdrawal.amount,
+          requestedBy: req.user._id,
         },
-      ],
-      { session }
-    );
+        { session }
+      );
+
+      await session.commitTransaction();
+      session.endSession();
+
+      return res.status(202).json({
+        success: true,
+        message: created
+          ? 'Withdrawal needs a second admin approval'
+          : 'Withdrawal is already awaiting a second admin approval',
+        dualApproval: approval,
+      });
+    }
+
+    // Update withdrawal status
+    withdrawal.transition('approved', req.user._id);
+    await withdrawal.save({ session });
+
+    // Capture the hold and post the payout to the ledger
+    await captureWithdrawal(withdrawal, { session });
 
     // Commit the transaction
     await session.commitTransaction();
@@ -241,12 +396,17 @@ exports.approveWithdrawal = async (req, res) => {
 // @route   POST /api/admin/withdraws/:id/reject
 // @access  Private (Admin)
 exports.rejectWithdrawal = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
   try {
     const { id } = req.params;
 
     // Find the withdrawal
-    const withdrawal = await Withdraw.findById(id);
+    const withdrawal = await Withdraw.findById(id).session(session);
     if (!withdrawal) {
+      await session.abortTransaction();
+      session.endSession();
       return res.status(404).json({
         success: false,
         message: 'Withdrawal not found',
@@ -255,15 +415,32 @@ exports.rejectWithdrawal = async (req, res) => {
 
     // Check if already processed
     if (withdrawal.status !== 'pending') {
+      await session.abortTransaction();
+      session.endSession();
       return res.status(400).json({
         success: false,
         message: 'Withdrawal has already been processed',
       });
     }
 
-    // Update withdrawal status
-    withdrawal.status = 'rejected';
-    await withdrawal.save();
+    // Update withdrawal status and record why
+    const { reasonCode, note } = req.body;
+    withdrawal.transition('rejected', req.user._id, note || reasonCode);
+    withdrawal.rejection = {
+      reasonCode,
+      note: note || null,
+      by: req.user._id,
+      at: new Date(),
+    };
+    await withdrawal.save({ session });
+
+    // Release the reserved amount back to the user's available balance
+    if (withdrawal.held) {
+      await releaseHold(withdrawal.user_id, withdrawal.amount, { session });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
 
     res.status(200).json({
       success: true,
@@ -271,6 +448,8 @@ exports.rejectWithdrawal = async (req, res) => {
       withdrawal,
     });
   } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
     console.error('Reject withdrawal error:', error);
     res.status(500).json({
       success: false,
@@ -279,3 +458,183 @@ exports.rejectWithdrawal = async (req, res) => {
     });
   }
 };
+
+// @desc    Get withdrawals by status (e.g. approved ones waiting to be paid)
+// @route   GET /api/admin/withdraws?status=approved
+// @access  Private (Admin)
+exports.getWithdrawals = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const filter = req.query.status ? { status: req.query.status } : {};
+
+    const total = await Withdraw.countDocuments(filter);
+
+    const withdrawals = await Withdraw.find(filter)
+      .populate('user_id', 'name email')
+      .populate('payout_method_id')
+      .populate('statusHistory.by', 'name email')
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: withdrawals.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      // toObject() keeps the full payout destination that JSON responses mask
+      withdrawals: withdrawals.map((w) => w.toObject()),
+    });
+  } catch (error) {
+    console.error('Get withdrawals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Mark an approved withdrawal as sent to the bank
+// @route   POST /api/admin/withdraws/:id/processing
+// @access  Private (Admin)
+exports.markWithdrawalProcessing = async (req, res) => {
+  try {
+    const withdrawal = await Withdraw.findById(req.params.id);
+    if (!withdrawal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Withdrawal not found',
+      });
+    }
+
+    if (!withdrawal.canTransitionTo('processing')) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${withdrawal.status} withdrawal cannot be marked as processing`,
+      });
+    }
+
+    withdrawal.transition('processing', req.user._id, req.body.note || null);
+    await withdrawal.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Withdrawal marked as processing',
+      withdrawal,
+    });
+  } catch (error) {
+    console.error('Mark withdrawal processing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Mark a withdrawal as paid by the bank
+// @route   POST /api/admin/withdraws/:id/paid
+// @access  Private (Admin)
+exports.markWithdrawalPaid = async (req, res) => {
+  try {
+    const { bankReference } = req.body;
+
+    if (!bankReference) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the bank reference',
+      });
+    }
+
+    const withdrawal = await Withdraw.findById(req.params.id);
+    if (!withdrawal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Withdrawal not found',
+      });
+    }
+
+    if (!withdrawal.canTransitionTo('paid')) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${withdrawal.status} withdrawal cannot be marked as paid`,
+      });
+    }
+
+    withdrawal.transition('paid', req.user._id, req.body.note || null);
+    withdrawal.bankReference = bankReference;
+    withdrawal.settledAt = new Date();
+    await withdrawal.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Withdrawal marked as paid',
+      withdrawal,
+    });
+  } catch (error) {
+    console.error('Mark withdrawal paid error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Record a failed/bounced payout; the amount is returned to the
+//          user's passive income and the withdrawal ends up reversed
+// @route   POST /api/admin/withdraws/:id/failed
+// @access  Private (Admin)
+exports.markWithdrawalFailed = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const withdrawal = await Withdraw.findById(req.params.id).session(session);
+    if (!withdrawal) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Withdrawal not found',
+      });
+    }
+
+    if (!withdrawal.canTransitionTo('failed')) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `A ${withdrawal.status} withdrawal cannot be marked as failed`,
+      });
+    }
+
+    await failWithdrawal(withdrawal, {
+      by: req.user._id,
+      reason: req.body.reason || null,
+      session,
+    });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({
+      success: true,
+      message: 'Withdrawal marked as failed and the amount returned to the user',
+      withdrawal,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error('Mark withdrawal failed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,152 @@
+const WithdrawalPolicy = require('../models/WithdrawalPolicy');
+const {
+  getPolicy,
+  getEffectivePolicy,
+  getUsage,
+  calculateFee,
+} = require('../utils/withdrawalPolicy');
+const { getPlan } = require('../utils/plans');
+
+const { RULE_FIELDS } = WithdrawalPolicy;
+
+// @desc    Get the withdrawal rules that apply to the logged-in user, what
+//          they have used so far, and the fee for an optional ?amount=
+// @route   GET /api/withdraw/policy
+// @access  Private (User)
+exports.getMyWithdrawalPolicy = async (req, res) => {
+  try {
+    const rules = await getEffectivePolicy(req.user.plan);
+    const usage = await getUsage(req.user._id, rules);
+
+    // Fee preview for the amount being typed in
+    const amount = Number(req.query.amount);
+    let quote = null;
+    if (amount > 0) {
+      const fee = calculateFee(rules, amount);
+      quote = { amount, fee, payout: amount - fee };
+    }
+
+    res.status(200).json({
+      success: true,
+      policy: rules,
+      usage,
+      quote,
+    });
+  } catch (error) {
+    console.error('Get my withdrawal policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch withdrawal policy',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the withdrawal policy with its plan overrides
+// @route   GET /api/admin/withdrawal-policy
+// @access  Private (Admin only)
+exports.getWithdrawalPolicy = async (req, res) => {
+  try {
+    const policy = await getPolicy();
+
+    res.status(200).json({
+      success: true,
+      policy,
+    });
+  } catch (error) {
+    console.error('Get withdrawal policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch withdrawal policy',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update the withdrawal policy. Only the fields sent are changed;
+//          planOverrides, when sent, replaces the whole list.
+// @route   PUT /api/admin/withdrawal-policy
+// @access  Private (Admin only)
+exports.updateWithdrawalPolicy = async (req, res) => {
+  try {
+    const { planOverrides } = req.body;
+
+    if (planOverrides !== undefined) {
+      if (!Array.isArray(planOverrides)) {
+        return res.status(400).json({
+          success: false,
+          message: 'planOverrides must be an array',
+        });
+      }
+
+      const seen = new Set();
+      for (const override of planOverrides) {
+        if (!override.plan || !(await getPlan(override.plan))) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown plan in overrides: ${override.plan}`,
+          });
+        }
+        if (seen.has(override.plan)) {
+          return res.status(400).json({
+            success: false,
+            message: `Plan ${override.plan} has more than one override`,
+          });
+        }
+        seen.add(override.plan);
+      }
+    }
+
+    const policy = await getPolicy();
+
+    RULE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        policy[field] = req.body[field];
+      }
+    });
+    if (planOverrides !== undefined) {
+      policy.planOverrides = planOverrides;
+    }
+
+    if (
+      policy.minAmount !== null &&
+      policy.maxAmount !== null &&
+      policy.minAmount > policy.maxAmount
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'Minimum amount cannot be higher than the maximum amount',
+      });
+    }
+
+    if (policy.feeType === 'percentage' && policy.feeValue > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'A percentage fee cannot exceed 100',
+      });
+    }
+
+    policy.updatedBy = req.user._id;
+    await policy.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Withdrawal policy updated successfully',
+      policy,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Update withdrawal policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update withdrawal policy',
+      error: error.message,
+    });
+  }
+};
@@ -60,7 +60,7 @@ async function calculateDailyStats() {
             $gte: startOfYesterday,
             $lt: endOfYesterday
           },
-          type: { $in: ['direct', 'passive', 'withdrawal'] }
+          type: { $in: ['direct', 'passive', 'withdrawal', 'withdrawal_fee', 'reversal'] }
         }
       },
       {
@@ -69,9 +69,9 @@ async function calculateDailyStats() {
           total: {
             $sum: {
               $cond: [
-                { $eq: ['$type', 'withdrawal'] },
-                { $multiply: ['$amount', -1] }, // Negative for withdrawals
-                '$amount' // Positive for direct and passive
+                { $in: ['$type', ['withdrawal', 'withdrawal_fee']] },
+                { $multiply: ['$amount', -1] }, // Negative for withdrawals and their fees
+                '$amount' // Positive for direct, passive and reversals
               ]
             }
           }
@@ -143,7 +143,7 @@ async function calculateWeeklyStats() {
             $gte: sevenDaysAgo,
             $lt: today
           },
-          type: { $in: ['direct', 'passive', 'withdrawal'] }
+          type: { $in: ['direct', 'passive', 'withdrawal', 'withdrawal_fee', 'reversal'] }
         }
       },
       {
@@ -152,7 +152,7 @@ async function calculateWeeklyStats() {
           total: {
             $sum: {
               $cond: [
-                { $eq: ['$type', 'withdrawal'] },
+                { $in: ['$type', ['withdrawal', 'withdrawal_fee']] },
                 { $multiply: ['$amount', -1] },
                 '$amount'
               ]
@@ -226,7 +226,7 @@ async function calculateMonthlyStats() {
             $gte: thirtyDaysAgo,
             $lt: today
           },
-          type: { $in: ['direct', 'passive', 'withdrawal'] }
+          type: { $in: ['direct', 'passive', 'withdrawal', 'withdrawal_fee', 'reversal'] }
         }
       },
       {
@@ -235,7 +235,7 @@ async function calculateMonthlyStats() {
           total: {
             $sum: {
               $cond: [
-                { $eq: ['$type', 'withdrawal'] },
+                { $in: ['$type', ['withdrawal', 'withdrawal_fee']] },
                 { $multiply: ['$amount', -1] },
                 '$amount'
               ]
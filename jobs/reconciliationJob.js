@@ -0,0 +1,125 @@
+/**
+ * Balance Reconciliation Cron Job
+ *
+ * Runs at 01:00 AM UTC every day (after the leaderboard jobs) and compares the
+ * balance snapshot stored on every user against their ledger accounts:
+ * - direct_income: the user_direct account
+ * - passive_income: the user_passive account
+ * - balance: both accounts together
+ *
+ * The ledger is the reference because every movement is posted there as a
+ * balanced journal entry; the snapshots are only updated alongside it, so a
+ * difference means something changed a snapshot without posting.
+ *
+ * Mismatches are never corrected here. Each one is recorded as an open
+ * BalanceDiscrepancy (with before/after values) for an admin to accept or
+ * reject. A user keeps at most one open discrepancy; every run that finds the
+ * mismatch again is added to its occurrences. If the snapshots match the
+ * ledger again before review, the discrepancy is marked resolved.
+ */
+
+const cron = require('node-cron');
+const User = require('../models/User');
+const BalanceDiscrepancy = require('../models/BalanceDiscrepancy');
+const JobMeta = require('../models/JobMeta');
+const { getUserLedgerBalances } = require('../utils/ledger');
+
+const JOB_NAME = 'balance-reconciliation';
+
+// Compare amounts in cents to ignore floating point noise
+const toCents = (value) => Math.round((value || 0) * 100);
+
+const sameBalances = (a, b) =>
+  toCents(a.balance) === toCents(b.balance) &&
+  toCents(a.direct_income) === toCents(b.direct_income) &&
+  toCents(a.passive_income) === toCents(b.passive_income);
+
+/**
+ * Scan all users and record every balance mismatch
+ */
+async function reconcileBalances() {
+  try {
+    console.log('[Reconciliation] Starting balance scan...');
+
+    const users = await User.find().select('balance direct_income passive_income').lean();
+
+    let mismatches = 0;
+
+    for (const user of users) {
+      const before = {
+        balance: user.balance || 0,
+        direct_income: user.direct_income || 0,
+        passive_income: user.passive_income || 0,
+      };
+      const after = await getUserLedgerBalances(user._id);
+
+      const openDiscrepancy = await BalanceDiscrepancy.findOne({
+        user_id: user._id,
+        status: 'open',
+      });
+
+      const detectedAt = new Date();
+
+      if (sameBalances(before, after)) {
+        // Drift resolved itself (e.g. a pending approval landed) - nothing left
+        // to review, and nobody reviewed it
+        if (openDiscrepancy) {
+          openDiscrepancy.status = 'resolved';
+          openDiscrepancy.resolvedAt = detectedAt;
+          openDiscrepancy.note = 'Resolved before review';
+          await openDiscrepancy.save();
+        }
+        continue;
+      }
+
+      mismatches++;
+
+      if (openDiscrepancy) {
+        openDiscrepancy.before = before;
+        openDiscrepancy.after = after;
+        openDiscrepancy.detectedAt = detectedAt;
+        openDiscrepancy.occurrences.push({ before, after, detectedAt });
+        await openDiscrepancy.save();
+      } else {
+        await BalanceDiscrepancy.create({
+          user_id: user._id,
+          before,
+          after,
+          detectedAt,
+          occurrences: [{ before, after, detectedAt }],
+        });
+      }
+    }
+
+    await JobMeta.findOneAndUpdate(
+      { job: JOB_NAME },
+      { lastProcessedAt: new Date() },
+      { upsert: true }
+    );
+
+    console.log(`[Reconciliation] Scanned ${users.length} users, ${mismatches} mismatch(es) recorded`);
+  } catch (error) {
+    console.error('[Reconciliation] Error reconciling balances:', error);
+  }
+}
+
+/**
+ * Initialize and start the reconciliation cron job
+ */
+function startReconciliationJob() {
+  const reconciliationJob = cron.schedule('0 1 * * *', () => {
+    reconcileBalances().catch(err => console.error('[Reconciliation] Error:', err));
+  }, {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+
+  console.log('[Reconciliation Job] Scheduled: Every day at 01:00 UTC');
+
+  return { reconciliationJob };
+}
+
+module.exports = {
+  startReconciliationJob,
+  reconcileBalances,
+};
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Never stored in the audit log
+const SECRET_FIELDS = [
+  'password',
+  'currentPassword',
+  'newPassword',
+  'resetPasswordToken',
+  'resetPasswordExpire',
+  'emailVerificationToken',
+  'unlockToken',
+  'refreshToken',
+  'code', // 2FA codes
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+];
+
+// Fields that change on every save and would only add noise to diffs
+const IGNORED_FIELDS = ['updatedAt', '__v'];
+
+// Copy of `value` with secret fields replaced
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+
+  return Object.entries(value).reduce((copy, [key, field]) => {
+    copy[key] = SECRET_FIELDS.includes(key) ? '[REDACTED]' : redact(field);
+    return copy;
+  }, {});
+};
+
+// { field: { from, to } } for every top-level field that differs
+const diffOf = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach((key) => {
+    if (IGNORED_FIELDS.includes(key)) return;
+
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  });
+
+  return changes;
+};
+
+// Current state of the audited document, as plain JSON
+const loadTarget = async ({ model, param, field }, req) => {
+  if (!model) return null;
+
+  const Model = mongoose.model(model);
+
+  // Singleton settings documents (discounts, withdrawal policy)
+  if (param === null) {
+    return Model.findOne({ key: 'default' }).lean();
+  }
+
+  const value = req.params[param];
+  if (!value) return null;
+  if (field === '_id' && !mongoose.Types.ObjectId.isValid(value)) return null;
+
+  return Model.findOne({ [field]: value }).lean();
+};
+
+// Record an admin action once its response has been sent.
+//   action: name such as 'withdrawal.approve'
+//   target: { model, param = 'id', field = '_id' } - the document the route
+//           acts on, looked up as { [field]: req.params[param] } before and
+//           after the action (param: null for singleton documents)
+// Must run after `protect`.
+exports.audit = (action, target = {}) => {
+  const options = { param: 'id', field: '_id', ...target };
+
+  return async (req, res, next) => {
+    let before = null;
+    try {
+      before = redact(await loadTarget(options, req));
+    } catch (error) {
+      console.error('Audit log error:', error);
+    }
+
+    res.on('finish', async () => {
+      try {
+        const after = redact(await loadTarget(options, req));
+        const targetId =
+          (before && before._id) ||
+          (after && after._id) ||
+          (options.param && req.params[options.param]) ||
+          null;
+
+        await AuditLog.create({
+          actor: req.user._id,
+          actorRole: req.user.role,
+          action,
+          method: req.method,
+          path: req.originalUrl,
+          targetModel: options.model || null,
+          targetId: targetId ? String(targetId) : null,
+          before,
+          after,
+          diff: diffOf(before, after),
+          body: redact(req.body),
+          statusCode: res.statusCode,
+          success: res.statusCode < 400,
+          ip: req.ip,
+          userAgent: req.get('User-Agent'),
+        });
+      } catch (error) {
+        console.error('Audit log error:', error);
+      }
+    });
+
+    next();
+  };
+};
@@ -1,7 +1,13 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { touchSession } = require('../utils/sessions');
+const { hasPermission } = require('../utils/permissions');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
 
-// Protect routes - verify JWT token
+// Protect routes - verify JWT token. Every 401/403 carries a `code` the
+// frontend can act on: NO_TOKEN, TOKEN_INVALID, TOKEN_EXPIRED (refresh and
+// retry), TOKEN_REVOKED (log in again), USER_NOT_FOUND, ACCOUNT_BANNED.
 exports.protect = async (req, res, next) => {
   try {
     let token;
@@ -17,31 +23,72 @@ exports.protect = async (req, res, next) => {
     if (!token) {
       return res.status(401).json({
         success: false,
+        code: 'NO_TOKEN',
         message: 'Not authorized to access this route',
       });
     }
 
+    // Verify token
+    let decoded;
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-      // Get user from token
-      req.user = await User.findById(decoded.id);
+      // Purpose tokens (e.g. the 2FA login step) are not access tokens
+      if (decoded.purpose) throw new Error('Not an access token');
+    } catch (error) {
+      const expired = error.name === 'TokenExpiredError';
+      return res.status(401).json({
+        success: false,
+        code: expired ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID',
+        message: expired ? 'Token has expired' : 'Not authorized to access this route',
+      });
+    }
+
+    // Get user from token
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found',
+      });
+    }
+
+    if (user.banned) {
+      return res.status(403).json({
+        success: false,
+        code: 'ACCOUNT_BANNED',
+        message: 'Your account has been banned. Please contact support.',
+      });
+    }
+
+    // Issued before a password change, ban or "log out all devices"
+    if (user.isTokenRevoked(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        code: 'TOKEN_REVOKED',
+        message: 'Your session has ended. Please log in again.',
+      });
+    }
 
-      if (!req.user) {
+    // Session revoked from the device list (or by a logout)
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid);
+      if (!session || session.revokedAt) {
         return res.status(401).json({
           success: false,
-          message: 'User not found',
+          code: 'TOKEN_REVOKED',
+          message: 'Your session has ended. Please log in again.',
         });
       }
 
-      next();
-    } catch (error) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route',
-      });
+      touchSession(session, req.ip).catch((error) => console.error('Touch session error:', error));
+      req.sessionId = session._id;
     }
+
+    req.user = user;
+    next();
   } catch (error) {
     return res.status(500).json({
       success: false,
@@ -50,6 +97,20 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Block accounts that have not verified their email address yet. Accounts
+// created before verification existed have no flag and pass. Must run
+// after `protect`.
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (req.user.emailVerified === false) {
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address first',
+    });
+  }
+  next();
+};
+
 // Restrict to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -62,3 +123,26 @@ exports.authorize = (...roles) => {
     next();
   };
 };
+
+// Require every listed permission (see utils/permissions for the role matrix).
+// Staff must have 2FA enabled before any permission is granted.
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (isTwoFactorRequired(req.user) && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Please enable two-factor authentication to use staff features',
+      });
+    }
+
+    const missing = permissions.filter((p) => !hasPermission(req.user.role, p));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `User role '${req.user.role}' is missing permission: ${missing.join(', ')}`,
+      });
+    }
+    next();
+  };
+};
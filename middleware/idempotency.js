@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a completed response is kept for replay
+const RETENTION_MS =
+  (parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// How long an in-flight key blocks retries if the process dies mid-request
+const PROCESSING_LOCK_MS = 5 * 60 * 1000;
+
+const hashRequest = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify(req.body || {}))
+    .digest('hex');
+
+// Honour an optional Idempotency-Key header on money-moving endpoints.
+// The first response per key and user is stored and replayed for retries;
+// must run after `protect` since keys are scoped to req.user.
+exports.idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be at most 255 characters',
+    });
+  }
+
+  const requestHash = hashRequest(req);
+
+  try {
+    await IdempotencyKey.create({
+      key,
+      user_id: req.user._id,
+      method: req.method,
+      path: req.originalUrl,
+      requestHash,
+      expiresAt: new Date(Date.now() + PROCESSING_LOCK_MS),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Idempotency key error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+
+    // Key seen before - replay, or explain why we can't
+    const existing = await IdempotencyKey.findOne({ user_id: req.user._id, key });
+
+    if (
+      !existing ||
+      existing.method !== req.method ||
+      existing.path !== req.originalUrl ||
+      existing.requestHash !== requestHash
+    ) {
+      return res.status(422).json({
+        success: false,
+        message: 'This Idempotency-Key was already used for a different request',
+      });
+    }
+
+    if (existing.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed',
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Capture the response so retries get exactly the same answer. The record
+  // is written before the response goes out, so a fast retry can replay it.
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const record =
+      res.statusCode >= 500 || res.statusCode === 401
+        ? // Server errors and failed step-up checks are not final - let the
+          // client retry with the same key
+          IdempotencyKey.deleteOne({ user_id: req.user._id, key })
+        : IdempotencyKey.updateOne(
+            { user_id: req.user._id, key },
+            {
+              $set: {
+                status: 'completed',
+                responseStatus: res.statusCode,
+                // Store plain JSON rather than live mongoose documents
+                responseBody: JSON.parse(JSON.stringify(body)),
+                expiresAt: new Date(Date.now() + RETENTION_MS),
+              },
+            }
+          );
+
+    record
+      .catch((error) => console.error('Idempotency key save error:', error))
+      .finally(() => originalJson(body));
+
+    return res;
+  };
+
+  next();
+};
@@ -0,0 +1,39 @@
+const { findWithTwoFactor, verifySecondFactor } = require('../utils/twoFactor');
+
+// Step-up check for sensitive user actions: users with 2FA enabled must
+// send a fresh code (or recovery code) in the X-2FA-Code header. A header
+// rather than a body field keeps Idempotency-Key retries identical. Put it
+// after `idempotent`: a code works only once, so retries of a completed
+// request must be replayed before it runs. Users without 2FA pass through.
+// Must run after `protect`.
+exports.requireStepUp = async (req, res, next) => {
+  try {
+    if (!req.user.twoFactorEnabled) return next();
+
+    const code = req.get('X-2FA-Code');
+    if (!code) {
+      return res.status(401).json({
+        success: false,
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'Please enter a code from your authenticator app',
+      });
+    }
+
+    const user = await findWithTwoFactor(req.user._id);
+    if (!(await verifySecondFactor(user, code))) {
+      return res.status(401).json({
+        success: false,
+        code: 'TWO_FACTOR_INVALID',
+        message: 'Invalid authentication code',
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Two-factor step-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+};
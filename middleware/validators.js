@@ -1,4 +1,6 @@
 const { body, validationResult } = require('express-validator');
+const { getPlan } = require('../utils/plans');
+const { REJECTION_REASONS } = require('../models/rejection');
 
 // Middleware to handle validation errors
 exports.validate = (req, res, next) => {
@@ -75,6 +77,16 @@ exports.resetPasswordValidation = [
     .withMessage('Password must be at least 6 characters long'),
 ];
 
+// Refresh token validation rules (refresh and logout)
+exports.refreshTokenValidation = [
+  body('refreshToken')
+    .trim()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+    .isHexadecimal()
+    .withMessage('Invalid refresh token'),
+];
+
 // Request creation validation rules
 exports.createRequestValidation = [
   body('user_id')
@@ -85,6 +97,82 @@ exports.createRequestValidation = [
   body('plan')
     .notEmpty()
     .withMessage('Plan is required')
-    .isIn(['knowic', 'learnic', 'masteric'])
-    .withMessage('Plan must be knowic, learnic, or masteric'),
+    .custom(async (value) => {
+      const plan = await getPlan(value);
+      if (!plan || !plan.active) {
+        throw new Error('Plan must be one of the available plans');
+      }
+    }),
+];
+
+// Plan create/update validation rules
+exports.planValidation = [
+  body('key')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9_-]+$/)
+    .withMessage('Plan key may only contain lowercase letters, numbers, - and _'),
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Plan name cannot be empty'),
+  body(['price', 'direct', 'passive'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price and commissions must be non-negative numbers')
+    .toFloat(),
+  body('rank')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Rank must be a positive integer')
+    .toInt(),
+  body('referable')
+    .optional()
+    .isArray()
+    .withMessage('Referable plans must be an array of plan keys'),
+  body('commissionLevels')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Commission levels must be an array of at most 10 levels'),
+  body('commissionLevels.*.type')
+    .optional()
+    .isIn(['fixed', 'percentage'])
+    .withMessage('Commission level type must be fixed or percentage'),
+  body('commissionLevels.*.value')
+    .isFloat({ min: 0 })
+    .withMessage('Commission level value must be a non-negative number')
+    .toFloat()
+    .custom((value, { req, path }) => {
+      const index = path.match(/\[(\d+)\]/)[1];
+      const level = req.body.commissionLevels[index];
+      if (level.type === 'percentage' && value > 100) {
+        throw new Error('A percentage commission cannot exceed 100');
+      }
+      return true;
+    }),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false')
+    .toBoolean(),
+];
+
+// Rejection validation rules (requests, upgrade requests and withdrawals)
+exports.rejectionValidation = [
+  body('reasonCode')
+    .notEmpty()
+    .withMessage('Rejection reason is required')
+    .isIn(REJECTION_REASONS)
+    .withMessage(`Rejection reason must be one of: ${REJECTION_REASONS.join(', ')}`),
+  body('note')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters'),
+  body('note')
+    .if(body('reasonCode').equals('other'))
+    .notEmpty()
+    .withMessage('Please explain the rejection in the note'),
 ];
@@ -0,0 +1,76 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("./models/User");
+const { getUserLedgerBalances, postOpeningBalance } = require("./utils/ledger");
+
+// One-off migration: post opening ledger entries for the balances users had
+// before the ledger existed, so their ledger accounts agree with the
+// balance / direct_income / passive_income snapshots. Safe to run again:
+// only the part the ledger is still missing gets posted.
+//
+// Run with: node migrateOpeningBalances.js [--dry-run]
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const cents = (value) => Math.round((value || 0) * 100) / 100;
+
+async function migrateOpeningBalances() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+    if (DRY_RUN) console.log("🔍 Dry run, nothing will be written");
+
+    const users = await User.find({}).select(
+      "name email balance direct_income passive_income"
+    );
+    console.log(`\n👥 Checking ${users.length} users`);
+
+    let posted = 0;
+    let mismatched = 0;
+
+    for (const user of users) {
+      const ledger = await getUserLedgerBalances(user._id);
+      const missing = {
+        direct_income: cents(user.direct_income - ledger.direct_income),
+        passive_income: cents(user.passive_income - ledger.passive_income),
+      };
+
+      // balance should be the sum of the two incomes; the ledger cannot
+      // represent anything else, so flag it for a manual look
+      if (cents(user.balance - user.direct_income - user.passive_income) !== 0) {
+        mismatched++;
+        console.warn(
+          `⚠️  ${user.email}: balance $${user.balance} is not direct + passive income ` +
+            `($${user.direct_income} + $${user.passive_income})`
+        );
+      }
+
+      if (missing.direct_income === 0 && missing.passive_income === 0) continue;
+
+      console.log(
+        `💰 ${user.email}: direct $${missing.direct_income}, passive $${missing.passive_income}`
+      );
+
+      if (!DRY_RUN) {
+        await postOpeningBalance({ user_id: user._id, ...missing });
+      }
+      posted++;
+    }
+
+    console.log(
+      `\n✅ ${DRY_RUN ? "Would post" : "Posted"} opening balances for ${posted} users`
+    );
+    if (mismatched > 0) {
+      console.log(`⚠️  ${mismatched} users have a balance that needs a manual check`);
+    }
+
+    await mongoose.connection.close();
+    console.log("\n✅ Database connection closed");
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+migrateOpeningBalances();
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// One privileged (admin) action: who did what to which document, and how
+// the document changed
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    actorRole: {
+      type: String,
+    },
+    // e.g. withdrawal.approve, user.update
+    action: {
+      type: String,
+      required: true,
+    },
+    method: {
+      type: String,
+    },
+    path: {
+      type: String,
+    },
+    targetModel: {
+      type: String,
+      default: null,
+    },
+    targetId: {
+      type: String, // ObjectId, or a key such as a plan key
+      default: null,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // { field: { from, to } } for every top-level field that changed
+    diff: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Request body with secrets redacted
+    body: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    statusCode: {
+      type: Number,
+    },
+    success: {
+      type: Boolean,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+
+// Audit entries are append-only
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries are immutable'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const balancesSchema = new mongoose.Schema(
+  {
+    balance: { type: Number, default: 0 },
+    direct_income: { type: Number, default: 0 },
+    passive_income: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// One run of the reconciliation job that found the mismatch
+const occurrenceSchema = new mongoose.Schema(
+  {
+    before: { type: balancesSchema, required: true },
+    after: { type: balancesSchema, required: true },
+    detectedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const balanceDiscrepancySchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    // Values stored on the user when the mismatch was last found
+    before: {
+      type: balancesSchema,
+      required: true,
+    },
+    // Values held by the user's ledger accounts
+    after: {
+      type: balancesSchema,
+      required: true,
+    },
+    // Every detection while the discrepancy was open, oldest first
+    occurrences: {
+      type: [occurrenceSchema],
+      default: [],
+    },
+    // accepted/rejected by a reviewer; resolved when the snapshots matched
+    // the ledger again before anyone reviewed it
+    status: {
+      type: String,
+      enum: ['open', 'accepted', 'rejected', 'resolved'],
+      default: 'open',
+    },
+    detectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+balanceDiscrepancySchema.index({ status: 1, detectedAt: -1 });
+balanceDiscrepancySchema.index({ user_id: 1, status: 1 });
+
+module.exports = mongoose.model('BalanceDiscrepancy', balanceDiscrepancySchema);
@@ -1,33 +1,24 @@
 const mongoose = require('mongoose');
 
+// Whether referrers may sell at a discount. How much each plan can be
+// discounted is set on the plan itself (Plan.discount).
 const discountSchema = new mongoose.Schema(
   {
+    // Singleton: the settings document is the one with key "default"
+    key: {
+      type: String,
+      default: 'default',
+      unique: true,
+      immutable: true,
+    },
     enabled: {
       type: Boolean,
       default: false,
     },
-    knowicDiscount: {
-      type: Number,
-      default: 0,
-      min: 0,
-    },
-    learnicDiscount: {
-      type: Number,
-      default: 0,
-      min: 0,
-    },
-    mastericDiscount: {
-      type: Number,
-      default: 0,
-      min: 0,
-    },
   },
   {
     timestamps: true,
   }
 );
 
-// Ensure only one discount document exists (singleton pattern)
-discountSchema.index({}, { unique: true });
-
 module.exports = mongoose.model('Discount', discountSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A sensitive admin action held back until a second, different admin
+// approves it ("four eyes")
+const dualApprovalSchema = new mongoose.Schema(
+  {
+    // e.g. withdrawal.approve, user.plan_change
+    action: {
+      type: String,
+      required: true,
+    },
+    targetModel: {
+      type: String,
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // What will be executed, e.g. { from: 'knowic', to: 'masteric' }
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Value that triggered the threshold (withdrawal amount, plan price)
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    // cancelled: the target went away before anyone decided (e.g. the user
+    // cancelled their withdrawal)
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      default: 'pending',
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    decidedAt: {
+      type: Date,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Only one pending approval per action on the same document
+dualApprovalSchema.index(
+  { action: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+dualApprovalSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DualApproval', dualApprovalSchema);
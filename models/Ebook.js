@@ -18,9 +18,8 @@ const ebookSchema = new mongoose.Schema(
       default: "#3B82F6", // blue-500
     },
     plan: {
-      type: String,
+      type: String, // Plan key from the Plan catalogue
       required: [true, "Please specify the plan"],
-      enum: ["knowic", "learnic", "masteric"],
     },
     pdfFile: {
       type: String,
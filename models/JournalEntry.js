@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const legSchema = new mongoose.Schema(
+  {
+    account_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerAccount',
+      required: [true, 'Account is required'],
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const journalEntrySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        'plan_purchase',
+        'plan_upgrade',
+        'withdrawal',
+        'withdrawal_reversal',
+        'adjustment',
+        'opening_balance',
+      ],
+      required: [true, 'Entry type is required'],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Document that caused the movement (Request, UpgradeRequest or Withdraw)
+    reference_model: {
+      type: String,
+      enum: ['Request', 'UpgradeRequest', 'Withdraw'],
+    },
+    reference_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'reference_model',
+    },
+    legs: {
+      type: [legSchema],
+      validate: {
+        validator: (legs) => legs.length >= 2,
+        message: 'A journal entry needs at least two legs',
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+journalEntrySchema.index({ 'legs.account_id': 1 });
+// A document can only be booked once per entry type, which stops a retried
+// approval from paying commissions or payouts twice
+journalEntrySchema.index(
+  { reference_model: 1, reference_id: 1, type: 1 },
+  { unique: true, partialFilterExpression: { reference_id: { $exists: true } } }
+);
+
+// Debits and credits must cancel out (compared in cents to avoid float noise)
+journalEntrySchema.pre('validate', function (next) {
+  const totals = this.legs.reduce(
+    (sum, leg) => ({
+      debit: sum.debit + Math.round(leg.debit * 100),
+      credit: sum.credit + Math.round(leg.credit * 100),
+    }),
+    { debit: 0, credit: 0 }
+  );
+
+  if (totals.debit !== totals.credit) {
+    return next(new Error('Journal entry is not balanced'));
+  }
+
+  next();
+});
+
+// Entries are append-only: corrections are posted as new entries
+journalEntrySchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Journal entries are immutable'));
+  }
+  next();
+});
+
+const rejectMutation = function (next) {
+  next(new Error('Journal entries are immutable'));
+};
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+].forEach((op) => {
+  journalEntrySchema.pre(op, rejectMutation);
+});
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
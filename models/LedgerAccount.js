@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// User accounts hold what the platform owes each member; platform accounts
+// track money received, kept as revenue and sent out as payouts.
+// platform_equity only offsets the opening balances brought over from
+// before the ledger existed.
+const USER_ACCOUNT_KINDS = ['user_direct', 'user_passive'];
+const PLATFORM_ACCOUNT_KINDS = [
+  'platform_cash',
+  'platform_revenue',
+  'platform_payouts',
+  'platform_equity',
+];
+
+const ledgerAccountSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: [...USER_ACCOUNT_KINDS, ...PLATFORM_ACCOUNT_KINDS],
+      required: [true, 'Account kind is required'],
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One account per kind per user (user_id is null for platform accounts)
+ledgerAccountSchema.index({ kind: 1, user_id: 1 }, { unique: true });
+
+ledgerAccountSchema.statics.USER_ACCOUNT_KINDS = USER_ACCOUNT_KINDS;
+ledgerAccountSchema.statics.PLATFORM_ACCOUNT_KINDS = PLATFORM_ACCOUNT_KINDS;
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
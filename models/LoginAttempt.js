@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Failed logins counted per email address and per IP address
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['email', 'ip'],
+      required: true,
+    },
+    // Lower-cased email address or IP address
+    key: {
+      type: String,
+      required: true,
+    },
+    // Failures since the last success, lockout or quiet period
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null,
+    },
+    lastIp: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // How many times this key has been locked out
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    // Removed by MongoDB's TTL monitor once this passes
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginAttemptSchema.index({ kind: 1, key: 1 }, { unique: true });
+loginAttemptSchema.index({ kind: 1, lockedUntil: 1 });
+
+// TTL cleanup
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
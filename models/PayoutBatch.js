@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const payoutBatchSchema = new mongoose.Schema(
+  {
+    // Human readable reference used in export file names and bank files
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    withdrawals: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Withdraw',
+      },
+    ],
+    count: {
+      type: Number,
+      default: 0,
+    },
+    // Sum of what is paid out (withdrawal amounts minus fees)
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ['open', 'exported', 'partially_settled', 'settled'],
+      default: 'open',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    exportedAt: {
+      type: Date,
+      default: null,
+    },
+    settledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
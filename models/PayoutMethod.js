@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// Fields holding the actual destination, per payout method type
+const DESTINATION_FIELDS = {
+  bank_account: ['bankName', 'accountName', 'accountNumber'],
+  mobile_wallet: ['walletProvider', 'walletNumber'],
+  crypto: ['cryptoNetwork', 'cryptoAddress'],
+};
+
+// Keep only the last 4 characters visible
+const mask = (value) => {
+  if (!value) return value;
+  const visible = value.slice(-4);
+  return `${'*'.repeat(Math.max(value.length - 4, 4))}${visible}`;
+};
+
+const payoutMethodSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.keys(DESTINATION_FIELDS),
+      required: [true, 'Payout method type is required'],
+    },
+    label: {
+      type: String,
+      trim: true,
+    },
+    // bank_account
+    bankName: { type: String, trim: true },
+    accountName: { type: String, trim: true },
+    accountNumber: { type: String, trim: true },
+    // mobile_wallet
+    walletProvider: { type: String, trim: true },
+    walletNumber: { type: String, trim: true },
+    // crypto
+    cryptoNetwork: { type: String, trim: true },
+    cryptoAddress: { type: String, trim: true },
+    verificationStatus: {
+      type: String,
+      enum: ['unverified', 'verified', 'rejected'],
+      default: 'unverified',
+    },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    // Removed by the user; kept so past withdrawals still show their destination
+    archived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // Account numbers and addresses are masked in every API response.
+      // Admin payout screens use toObject() to see the full destination.
+      transform: (doc, ret) => {
+        ret.accountNumber = mask(ret.accountNumber);
+        ret.walletNumber = mask(ret.walletNumber);
+        ret.cryptoAddress = mask(ret.cryptoAddress);
+        return ret;
+      },
+    },
+  }
+);
+
+payoutMethodSchema.index({ user_id: 1, archived: 1 });
+// At most one default method per user
+payoutMethodSchema.index(
+  { user_id: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+// Every field of the chosen type must be filled in
+payoutMethodSchema.pre('validate', function (next) {
+  const required = DESTINATION_FIELDS[this.type] || [];
+  const missing = required.filter((field) => !this[field]);
+
+  if (missing.length > 0) {
+    return next(new Error(`Missing ${missing.join(', ')} for ${this.type}`));
+  }
+
+  next();
+});
+
+// Destination details are fixed once saved - a changed account is a new
+// method that needs verifying again
+payoutMethodSchema.pre('save', function (next) {
+  if (this.isNew) return next();
+
+  const changed = Object.values(DESTINATION_FIELDS)
+    .flat()
+    .concat('type')
+    .some((field) => this.isModified(field));
+
+  if (changed) {
+    return next(new Error('Payout destination details cannot be changed'));
+  }
+
+  next();
+});
+
+payoutMethodSchema.statics.DESTINATION_FIELDS = DESTINATION_FIELDS;
+
+module.exports = mongoose.model('PayoutMethod', payoutMethodSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { commissionLevelSchema, commissionAmount } = require('./commissionLevel');
+
+// Upper bound on how far up the referral chain commissions are paid
+const MAX_COMMISSION_LEVELS = 10;
+
+const planSchema = new mongoose.Schema(
+  {
+    // Identifier stored on users, requests and ebooks (e.g. "knowic")
+    key: {
+      type: String,
+      required: [true, 'Plan key is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9_-]+$/, 'Plan key may only contain lowercase letters, numbers, - and _'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Plan name is required'],
+      trim: true,
+    },
+    price: {
+      type: Number,
+      required: [true, 'Price is required'],
+      min: 0,
+    },
+    // Commission paid to the purchaser's referrer
+    direct: {
+      type: Number,
+      required: [
+        function () {
+          return this.commissionLevels.length === 0;
+        },
+        'Direct commission is required',
+      ],
+      min: 0,
+    },
+    // Commission paid to the referrer's referrer
+    passive: {
+      type: Number,
+      required: [
+        function () {
+          return this.commissionLevels.length === 0;
+        },
+        'Passive commission is required',
+      ],
+      min: 0,
+    },
+    // Optional multi-level ladder (index 0 = level 1). When empty the plan
+    // pays `direct` at level 1 and `passive` at level 2 only.
+    commissionLevels: {
+      type: [commissionLevelSchema],
+      default: [],
+      validate: {
+        validator: (levels) => levels.length <= MAX_COMMISSION_LEVELS,
+        message: `A plan can pay at most ${MAX_COMMISSION_LEVELS} commission levels`,
+      },
+    },
+    // Most a referrer may take off the price on a discounted sale. Discounted
+    // sales pay no passive income, so it can be up to price - direct.
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Position in the tier order - higher ranks are upgrades of lower ones
+    rank: {
+      type: Number,
+      required: [true, 'Rank is required'],
+      unique: true,
+    },
+    // Plan keys a member on this plan is allowed to refer
+    referable: {
+      type: [String],
+      default: [],
+    },
+    // Bumped whenever price or commissions change (history in PlanVersion)
+    version: {
+      type: Number,
+      default: 1,
+    },
+    // Inactive plans stay valid for existing members but cannot be bought
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// With a ladder configured, direct/passive mirror levels 1 and 2 so that
+// payment and revenue figures based on them stay correct
+planSchema.pre('validate', function (next) {
+  if (this.commissionLevels.length > 0) {
+    const [level1, level2] = this.commissionLevels;
+    this.direct = commissionAmount(level1, this.price);
+    this.passive = level2 ? commissionAmount(level2, this.price) : 0;
+  }
+
+  if (this.discount > this.price - this.direct) {
+    this.invalidate(
+      'discount',
+      `Discount cannot exceed $${this.price - this.direct} (price minus direct commission)`
+    );
+  }
+  next();
+});
+
+planSchema.statics.MAX_COMMISSION_LEVELS = MAX_COMMISSION_LEVELS;
+
+module.exports = mongoose.model('Plan', planSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { commissionLevelSchema } = require('./commissionLevel');
+
+// Immutable record of a plan's economics from `effectiveFrom` until the next version
+const planVersionSchema = new mongoose.Schema(
+  {
+    plan: {
+      type: String,
+      required: [true, 'Plan key is required'],
+    },
+    version: {
+      type: Number,
+      required: [true, 'Version is required'],
+    },
+    price: {
+      type: Number,
+      required: true,
+    },
+    direct: {
+      type: Number,
+      required: true,
+    },
+    passive: {
+      type: Number,
+      required: true,
+    },
+    commissionLevels: {
+      type: [commissionLevelSchema],
+      default: [],
+    },
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    effectiveFrom: {
+      type: Date,
+      default: Date.now,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+planVersionSchema.index({ plan: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('PlanVersion', planVersionSchema);
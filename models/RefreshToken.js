@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A long-lived token that can be exchanged once for a new access token.
+// Only a hash of the token is stored.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Every token obtained by rotating from the same login shares a family
+    // (the Session id), so a stolen token can be cut off with all its
+    // descendants
+    family: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // rotated, logout, logout_all, revoked_by_user, password_change,
+    // password_reset, banned, reuse
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RefreshToken',
+      default: null,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refreshTokenSchema.index({ user_id: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+
+// TTL cleanup
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
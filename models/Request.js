@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const pricingSnapshotSchema = require('./pricingSnapshot');
+const { rejectionSchema } = require('./rejection');
 
 const requestSchema = new mongoose.Schema(
   {
@@ -23,8 +25,7 @@ const requestSchema = new mongoose.Schema(
       default: 'pending',
     },
     plan: {
-      type: String,
-      enum: ['knowic', 'learnic', 'masteric'],
+      type: String, // Plan key from the Plan catalogue
       required: [true, 'Plan is required'],
     },
     discounted: {
@@ -43,6 +44,16 @@ const requestSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Plan price/commissions applied at approval time
+    pricing: {
+      type: pricingSnapshotSchema,
+      default: null,
+    },
+    // Set when the request is rejected
+    rejection: {
+      type: rejectionSchema,
+      default: null,
+    },
   },
   {
     timestamps: true,
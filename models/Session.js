@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One login on one device. The refresh tokens of the login use the
+// session id as their family.
+const sessionSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    device: {
+      browser: { type: String, default: null },
+      os: { type: String, default: null },
+      type: { type: String, default: 'desktop' }, // desktop, mobile, tablet, ...
+    },
+    // Browser + OS + device type, to recognise a device seen before
+    deviceKey: {
+      type: String,
+      required: true,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    // Approximate, from the GeoIP database (null when unavailable)
+    location: {
+      country: { type: String, default: null },
+      region: { type: String, default: null },
+      city: { type: String, default: null },
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Moves forward with each refresh; removed by the TTL monitor after it
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user_id: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ user_id: 1, deviceKey: 1 });
+
+// TTL cleanup
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -9,13 +9,32 @@ const transactionSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['direct', 'passive', 'withdrawal'],
+      enum: ['direct', 'passive', 'withdrawal', 'withdrawal_fee', 'reversal'],
       required: [true, 'Transaction type is required'],
     },
     amount: {
       type: Number,
       required: [true, 'Amount is required'],
     },
+    // Plan and price version a commission was calculated from
+    plan: {
+      type: String,
+      default: null,
+    },
+    plan_version: {
+      type: Number,
+      default: null,
+    },
+    // Referral level a commission was paid for (1 = direct referrer)
+    level: {
+      type: Number,
+      default: null,
+    },
+    journal_entry_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry',
+      default: null,
+    },
   },
   {
     timestamps: true,
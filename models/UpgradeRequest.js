@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const pricingSnapshotSchema = require('./pricingSnapshot');
+const { rejectionSchema } = require('./rejection');
 
 const upgradeRequestSchema = new mongoose.Schema({
   user_id: {
@@ -6,14 +8,13 @@ const upgradeRequestSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Plan keys from the Plan catalogue
   previous_plan: {
     type: String,
-    enum: ['knowic', 'learnic', 'masteric'],
     required: true,
   },
   new_plan: {
     type: String,
-    enum: ['knowic', 'learnic', 'masteric'],
     required: true,
   },
   referral_code: {
@@ -50,6 +51,16 @@ const upgradeRequestSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Plan price/commissions applied at approval time
+  pricing: {
+    type: pricingSnapshotSchema,
+    default: null,
+  },
+  // Set when the request is rejected
+  rejection: {
+    type: rejectionSchema,
+    default: null,
+  },
 }, {
   timestamps: true,
 });
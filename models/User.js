@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
+const { ROLES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema(
   {
@@ -25,7 +26,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['user', 'admin'],
+      enum: ROLES, // See utils/permissions for what each staff role may do
       default: 'user',
     },
     balance: {
@@ -40,6 +41,11 @@ const userSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Part of passive_income reserved by pending withdrawals
+    held_balance: {
+      type: Number,
+      default: 0,
+    },
     referral_code: {
       type: String,
       unique: true,
@@ -54,8 +60,7 @@ const userSchema = new mongoose.Schema(
       default: 'pending',
     },
     plan: {
-      type: String,
-      enum: ['knowic', 'learnic', 'masteric'],
+      type: String, // Plan key from the Plan catalogue
       default: null,
     },
     banned: {
@@ -76,6 +81,79 @@ const userSchema = new mongoose.Schema(
       trim: true,
       default: null,
     },
+    // Access tokens issued before any of these are rejected by `protect`
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    bannedAt: {
+      type: Date,
+      default: null,
+    },
+    tokensRevokedAt: {
+      type: Date, // "Log out all devices"
+      default: null,
+    },
+    // Set to false at signup until the emailed link is followed. Accounts
+    // from before verification existed have no value and count as verified.
+    emailVerified: {
+      type: Boolean,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // When the last verification email went out (for resend throttling)
+    emailVerificationSentAt: {
+      type: Date,
+      default: null,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpire: {
+      type: Date,
+      select: false,
+    },
+    // Two-factor authentication (TOTP); mandatory for staff
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+      default: null,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // Secret being enrolled, until the first code confirms it
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hashes of unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    twoFactorLastStep: {
+      type: Number,
+      default: -1,
+      select: false,
+    },
+    // Lets the owner lift a login lockout from the emailed link
+    unlockToken: {
+      type: String,
+      select: false,
+    },
+    unlockExpire: {
+      type: Date,
+      select: false,
+    },
     resetPasswordToken: {
       type: String,
       select: false,
@@ -84,6 +162,10 @@ const userSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+    // When the last reset email went out (for throttling)
+    resetPasswordSentAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -96,6 +178,12 @@ userSchema.pre('save', async function (next) {
   if (this.isModified('password')) {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    if (!this.isNew) this.passwordChangedAt = new Date();
+  }
+
+  if (this.isModified('banned') && this.banned) {
+    this.bannedAt = new Date();
   }
 
   // Generate unique referral code for new users
@@ -117,6 +205,15 @@ userSchema.pre('save', async function (next) {
   next();
 });
 
+// Whether an access token issued at `iat` (JWT seconds) predates the last
+// password change, ban or "log out all devices". Tokens from the same
+// second are still accepted so the pair returned with the change works.
+userSchema.methods.isTokenRevoked = function (iat) {
+  return [this.passwordChangedAt, this.bannedAt, this.tokensRevokedAt].some(
+    (revokedAt) => revokedAt && iat < Math.floor(revokedAt.getTime() / 1000)
+  );
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -138,4 +235,37 @@ userSchema.methods.getResetPasswordToken = function () {
   return resetToken;
 };
 
+// Generate account unlock token (sent when logins get locked)
+userSchema.methods.getUnlockToken = function () {
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+
+  // Hash token and save to database
+  this.unlockToken = crypto
+    .createHash('sha256')
+    .update(unlockToken)
+    .digest('hex');
+
+  // Set token expiry to 1 hour
+  this.unlockExpire = Date.now() + 60 * 60 * 1000;
+
+  return unlockToken;
+};
+
+// Generate email verification token
+userSchema.methods.getEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  // Hash token and save to database
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  // Set token expiry to 24 hours
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000;
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
 module.exports = mongoose.model('User', userSchema);
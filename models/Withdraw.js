@@ -1,4 +1,46 @@
 const mongoose = require('mongoose');
+const { rejectionSchema } = require('./rejection');
+
+// Status -> statuses it may move to
+//   pending    -> approved | rejected | cancelled (by the user)
+//   approved   -> processing (sent to the bank) | paid | failed
+//   processing -> paid | failed
+//   paid       -> failed (the transfer bounced after all)
+//   failed     -> reversed (amount returned to the user's passive income)
+const TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled'],
+  approved: ['processing', 'paid', 'failed'],
+  processing: ['paid', 'failed'],
+  paid: ['failed'],
+  failed: ['reversed'],
+  rejected: [],
+  cancelled: [],
+  reversed: [],
+};
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    // Admin or user who made the change (null for the system)
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    note: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
 
 const withdrawSchema = new mongoose.Schema({
   user_id: {
@@ -6,23 +48,93 @@ const withdrawSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Saved destination the payout is sent to
+  payout_method_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutMethod',
+    default: null,
+  },
+  // Free-text bank details of withdrawals made before payout methods existed
   bankName: {
     type: String,
-    required: true,
   },
   bankAccountNumber: {
     type: String,
-    required: true,
   },
+  // Amount taken from passive income; the payout is amount minus fee
   amount: {
     type: Number,
     required: true,
   },
+  fee: {
+    type: Number,
+    default: 0,
+  },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    enum: Object.keys(TRANSITIONS),
     default: 'pending',
   },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: [],
+  },
+  // Payout batch the withdrawal was exported in, and the bank's answer
+  payout_batch_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch',
+    default: null,
+  },
+  bankReference: {
+    type: String,
+    default: null,
+  },
+  failureReason: {
+    type: String,
+    default: null,
+  },
+  // Set when an admin rejects the withdrawal
+  rejection: {
+    type: rejectionSchema,
+    default: null,
+  },
+  settledAt: {
+    type: Date,
+    default: null,
+  },
+  // Whether the amount is reserved out of the user's passive income
+  // (false for withdrawals created before holds existed)
+  held: {
+    type: Boolean,
+    default: false,
+  },
 }, { timestamps: true });
 
+withdrawSchema.index({ status: 1, createdAt: 1 });
+
+withdrawSchema.methods.canTransitionTo = function (status) {
+  return (TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move to a new status and record who did it and when
+withdrawSchema.methods.transition = function (status, by = null, note = null) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Withdrawal cannot move from ${this.status} to ${status}`);
+  }
+
+  this.status = status;
+  this.statusHistory.push({ status, at: new Date(), by, note });
+  return this;
+};
+
+// Record the initial status of new withdrawals
+withdrawSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, at: new Date() });
+  }
+  next();
+});
+
+withdrawSchema.statics.TRANSITIONS = TRANSITIONS;
+
 module.exports = mongoose.model('Withdraw', withdrawSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Rules that a plan override may replace; null means "no limit" /
+// "use the global value" (for overrides)
+const ruleFields = {
+  minAmount: { type: Number, min: 0, default: null },
+  maxAmount: { type: Number, min: 0, default: null },
+  dailyCap: { type: Number, min: 0, default: null },
+  monthlyCap: { type: Number, min: 0, default: null },
+  feeType: { type: String, enum: ['flat', 'percentage'], default: null },
+  feeValue: { type: Number, min: 0, default: null },
+  cooldownHours: { type: Number, min: 0, default: null },
+  maxPending: { type: Number, min: 1, default: null },
+};
+
+const planOverrideSchema = new mongoose.Schema(
+  {
+    plan: {
+      type: String, // Plan key from the Plan catalogue
+      required: true,
+    },
+    ...ruleFields,
+  },
+  { _id: false }
+);
+
+const withdrawalPolicySchema = new mongoose.Schema(
+  {
+    // Singleton: the policy document is the one with key "default"
+    key: {
+      type: String,
+      default: 'default',
+      unique: true,
+      immutable: true,
+    },
+    ...ruleFields,
+    // Global defaults match the rules that were hard-coded before
+    minAmount: { type: Number, min: 0, default: 30 },
+    feeType: { type: String, enum: ['flat', 'percentage'], default: 'flat' },
+    feeValue: { type: Number, min: 0, default: 0 },
+    cooldownHours: { type: Number, min: 0, default: 0 },
+    maxPending: { type: Number, min: 1, default: 1 },
+    planOverrides: {
+      type: [planOverrideSchema],
+      default: [],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+withdrawalPolicySchema.statics.RULE_FIELDS = Object.keys(ruleFields);
+
+module.exports = mongoose.model('WithdrawalPolicy', withdrawalPolicySchema);
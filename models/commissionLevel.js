@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One rung of a plan's commission ladder. Level 1 is the purchaser's referrer
+// (direct income), level 2 their referrer (passive income) and so on upwards.
+const commissionLevelSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['fixed', 'percentage'],
+      default: 'fixed',
+    },
+    // Dollar amount for fixed levels, percent of the plan price otherwise
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Amount a level pays out on a sale at `price`, rounded to cents
+const commissionAmount = (level, price) => {
+  const amount = level.type === 'percentage' ? (price * level.value) / 100 : level.value;
+  return Math.round(amount * 100) / 100;
+};
+
+module.exports = { commissionLevelSchema, commissionAmount };
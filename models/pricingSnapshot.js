@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const { commissionLevelSchema } = require('./commissionLevel');
+
+// Plan economics captured when a purchase or upgrade is approved, so later
+// price changes never rewrite what was actually charged and paid out
+const pricingSnapshotSchema = new mongoose.Schema(
+  {
+    planVersion: { type: Number, required: true },
+    price: { type: Number, required: true },
+    direct: { type: Number, required: true },
+    passive: { type: Number, required: true },
+    commissionLevels: { type: [commissionLevelSchema], default: [] },
+    // Most that could be taken off `price` on a discounted sale
+    discount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+module.exports = pricingSnapshotSchema;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Reasons shown to users so they know what to fix before resubmitting
+const REJECTION_REASONS = [
+  'invalid_proof', // Proof image does not show a payment
+  'unreadable_proof', // Proof image is blurry, cropped or unreadable
+  'amount_mismatch', // Amount paid does not match the plan price
+  'duplicate', // Same payment or request was already submitted
+  'wrong_plan', // Plan selected does not match what was paid for
+  'payout_details', // Payout destination is wrong or cannot receive funds
+  'suspected_fraud',
+  'other', // Explained in the note
+];
+
+// Why, when and by whom a request, upgrade or withdrawal was rejected
+const rejectionSchema = new mongoose.Schema(
+  {
+    reasonCode: {
+      type: String,
+      enum: REJECTION_REASONS,
+      required: [true, 'Rejection reason is required'],
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+module.exports = { rejectionSchema, REJECTION_REASONS };
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLog } = require('../controllers/auditLogController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/admin/audit-log
+router.get('/admin/audit-log', protect, requirePermission('audit:read'), getAuditLog);
+
+module.exports = router;
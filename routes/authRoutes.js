@@ -3,14 +3,30 @@ const router = express.Router();
 const {
   signup,
   login,
+  loginTwoFactor,
   forgotPassword,
   resetPassword,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  unlockAccount,
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require('../controllers/twoFactorController');
+const { protect } = require('../middleware/auth');
 const {
   signupValidation,
   loginValidation,
   forgotPasswordValidation,
   resetPasswordValidation,
+  refreshTokenValidation,
   validate,
 } = require('../middleware/validators');
 
@@ -20,10 +36,47 @@ router.post('/signup', signupValidation, validate, signup);
 // @route   POST /api/auth/login
 router.post('/login', loginValidation, validate, login);
 
+// @route   POST /api/auth/login/2fa
+router.post('/login/2fa', loginTwoFactor);
+
 // @route   POST /api/auth/forgot
 router.post('/forgot', forgotPasswordValidation, validate, forgotPassword);
 
 // @route   POST /api/auth/reset/:id/:token
 router.post('/reset/:id/:token', resetPasswordValidation, validate, resetPassword);
 
+// @route   POST /api/auth/verify/resend
+router.post('/verify/resend', protect, resendVerification);
+
+// @route   POST /api/auth/verify/:id/:token
+router.post('/verify/:id/:token', verifyEmail);
+
+// @route   POST /api/auth/unlock/:id/:token
+router.post('/unlock/:id/:token', unlockAccount);
+
+// @route   POST /api/auth/refresh
+router.post('/refresh', refreshTokenValidation, validate, refresh);
+
+// @route   POST /api/auth/logout
+router.post('/logout', refreshTokenValidation, validate, logout);
+
+// @route   POST /api/auth/logout-all
+router.post('/logout-all', protect, logoutAll);
+
+// Two-factor authentication
+// @route   GET /api/auth/2fa
+router.get('/2fa', protect, getTwoFactorStatus);
+
+// @route   POST /api/auth/2fa/setup
+router.post('/2fa/setup', protect, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/enable
+router.post('/2fa/enable', protect, enableTwoFactor);
+
+// @route   POST /api/auth/2fa/recovery-codes
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
+// @route   POST /api/auth/2fa/disable
+router.post('/2fa/disable', protect, disableTwoFactor);
+
 module.exports = router;
@@ -1,12 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { getDiscounts, updateDiscounts } = require('../controllers/discountController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 // Public route - anyone can view discounts
 router.get('/discounts', getDiscounts);
 
 // Admin only - update discounts
-router.put('/discounts', protect, authorize('admin'), updateDiscounts);
+router.put('/discounts', protect, requirePermission('discounts:write'), audit('discount.update', { model: 'Discount', param: null }), updateDiscounts);
 
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDiscrepancies,
+  acceptDiscrepancy,
+  rejectDiscrepancy,
+} = require('../controllers/discrepancyController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+// @route   GET /api/admin/discrepancies
+router.get('/admin/discrepancies', protect, requirePermission('discrepancies:read'), getDiscrepancies);
+
+// @route   POST /api/admin/discrepancies/:id/accept
+router.post('/admin/discrepancies/:id/accept', protect, requirePermission('discrepancies:resolve'), audit('discrepancy.accept', { model: 'BalanceDiscrepancy' }), acceptDiscrepancy);
+
+// @route   POST /api/admin/discrepancies/:id/reject
+router.post('/admin/discrepancies/:id/reject', protect, requirePermission('discrepancies:resolve'), audit('discrepancy.reject', { model: 'BalanceDiscrepancy' }), rejectDiscrepancy);
+
+module.exports = router;
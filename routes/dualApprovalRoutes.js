@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDualApprovals,
+  approveDualApproval,
+  rejectDualApproval,
+} = require('../controllers/dualApprovalController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { audit } = require('../middleware/audit');
+
+// Deciding also needs the permission of the queued action, checked in the controller
+
+// @route   GET /api/admin/dual-approvals
+router.get('/admin/dual-approvals', protect, requirePermission('approvals:read'), getDualApprovals);
+
+// @route   POST /api/admin/dual-approvals/:id/approve
+router.post('/admin/dual-approvals/:id/approve', protect, requirePermission('approvals:read'), idempotent, audit('dual_approval.approve', { model: 'DualApproval' }), approveDualApproval);
+
+// @route   POST /api/admin/dual-approvals/:id/reject
+router.post('/admin/dual-approvals/:id/reject', protect, requirePermission('approvals:read'), audit('dual_approval.reject', { model: 'DualApproval' }), rejectDualApproval);
+
+module.exports = router;
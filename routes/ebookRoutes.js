@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
-const { protect, authorize } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
+const { audit } = require("../middleware/audit");
 const ebookUpload = require("../utils/ebookUpload");
 const { handleMulterError } = require("../utils/ebookUpload");
 const {
@@ -13,7 +14,8 @@ const {
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission("ebooks:write"),
+  audit("ebook.upload", { model: "Ebook" }),
   (req, res, next) => {
     console.log(`[Route] POST /api/ebooks - Upload initiated by: ${req.user?.email}`);
     ebookUpload.single("pdfFile")(req, res, (err) => {
@@ -30,6 +32,6 @@ router.post(
 router.get("/", protect, getEbooks);
 
 // Delete ebook - Admin only
-router.delete("/:id", protect, authorize("admin"), deleteEbook);
+router.delete("/:id", protect, requirePermission("ebooks:write"), audit("ebook.delete", { model: "Ebook" }), deleteEbook);
 
 module.exports = router;
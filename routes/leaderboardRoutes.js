@@ -49,7 +49,7 @@ router.post('/leaderboard', async (req, res) => {
       // Fetch users sorted by balance (all-time earnings)
       // Only include users with positive balance
       const users = await User.find({
-        role: { $ne: 'admin' },
+        role: 'user',
         balance: { $gt: 0 }
       })
         .sort({ balance: -1 })
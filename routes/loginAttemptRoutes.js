@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getLockedAccounts,
+  unlockLockedAccount,
+} = require('../controllers/loginAttemptController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+// @route   GET /api/admin/locked-accounts
+router.get('/admin/locked-accounts', protect, requirePermission('users:read'), getLockedAccounts);
+
+// @route   POST /api/admin/locked-accounts/:id/unlock
+router.post('/admin/locked-accounts/:id/unlock', protect, requirePermission('users:ban'), audit('login_attempt.unlock', { model: 'LoginAttempt' }), unlockLockedAccount);
+
+module.exports = router;
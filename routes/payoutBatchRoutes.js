@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createPayoutBatch,
+  getPayoutBatches,
+  getPayoutBatch,
+  exportPayoutBatch,
+  markPayoutBatchExported,
+  importSettlement,
+} = require('../controllers/payoutBatchController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { idempotent } = require('../middleware/idempotency');
+const settlementUpload = require('../utils/settlementUpload');
+const { handleMulterError } = require('../utils/settlementUpload');
+
+// Admin only - pay out withdrawals in bulk
+// @route   POST /api/admin/payout-batches
+router.post('/admin/payout-batches', protect, requirePermission('withdrawals:payout'), idempotent, audit('payout_batch.create', { model: 'PayoutBatch' }), createPayoutBatch);
+
+// @route   GET /api/admin/payout-batches
+router.get('/admin/payout-batches', protect, requirePermission('withdrawals:read'), getPayoutBatches);
+
+// @route   GET /api/admin/payout-batches/:id
+router.get('/admin/payout-batches/:id', protect, requirePermission('withdrawals:read'), getPayoutBatch);
+
+// @route   GET /api/admin/payout-batches/:id/export
+router.get('/admin/payout-batches/:id/export', protect, requirePermission('withdrawals:payout'), audit('payout_batch.export', { model: 'PayoutBatch' }), exportPayoutBatch);
+
+// @route   POST /api/admin/payout-batches/:id/mark-exported
+router.post('/admin/payout-batches/:id/mark-exported', protect, requirePermission('withdrawals:payout'), audit('payout_batch.mark_exported', { model: 'PayoutBatch' }), markPayoutBatchExported);
+
+// @route   POST /api/admin/payout-batches/:id/settlement
+router.post(
+  '/admin/payout-batches/:id/settlement',
+  protect,
+  requirePermission('withdrawals:payout'),
+  audit('payout_batch.settle', { model: 'PayoutBatch' }),
+  (req, res, next) => {
+    settlementUpload.single('file')(req, res, (err) => {
+      if (err) {
+        return handleMulterError(err, req, res, next);
+      }
+      next();
+    });
+  },
+  importSettlement
+);
+
+module.exports = router;
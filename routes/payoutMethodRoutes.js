@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyPayoutMethods,
+  createPayoutMethod,
+  setDefaultPayoutMethod,
+  deletePayoutMethod,
+  getPayoutMethods,
+  verifyPayoutMethod,
+  rejectPayoutMethod,
+} = require('../controllers/payoutMethodController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+// User routes
+// @route   GET /api/payout-methods
+router.get('/payout-methods', protect, getMyPayoutMethods);
+
+// @route   POST /api/payout-methods
+router.post('/payout-methods', protect, createPayoutMethod);
+
+// @route   PUT /api/payout-methods/:id/default
+router.put('/payout-methods/:id/default', protect, setDefaultPayoutMethod);
+
+// @route   DELETE /api/payout-methods/:id
+router.delete('/payout-methods/:id', protect, deletePayoutMethod);
+
+// Admin routes
+// @route   GET /api/admin/payout-methods
+router.get('/admin/payout-methods', protect, requirePermission('payout_methods:read'), getPayoutMethods);
+
+// @route   POST /api/admin/payout-methods/:id/verify
+router.post('/admin/payout-methods/:id/verify', protect, requirePermission('payout_methods:verify'), audit('payout_method.verify', { model: 'PayoutMethod' }), verifyPayoutMethod);
+
+// @route   POST /api/admin/payout-methods/:id/reject
+router.post('/admin/payout-methods/:id/reject', protect, requirePermission('payout_methods:verify'), audit('payout_method.reject', { model: 'PayoutMethod' }), rejectPayoutMethod);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getActivePlans,
+  getAllPlans,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  getPlanHistory,
+} = require('../controllers/planController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { planValidation, validate } = require('../middleware/validators');
+
+// Public route - anyone can view plans on sale
+// @route   GET /api/plans
+router.get('/plans', getActivePlans);
+
+// Admin only - manage the plan catalogue
+// @route   GET /api/admin/plans
+router.get('/admin/plans', protect, requirePermission('plans:read'), getAllPlans);
+
+// @route   POST /api/admin/plans
+router.post('/admin/plans', protect, requirePermission('plans:write'), audit('plan.create', { model: 'Plan' }), planValidation, validate, createPlan);
+
+// @route   PUT /api/admin/plans/:key
+router.put('/admin/plans/:key', protect, requirePermission('plans:write'), audit('plan.update', { model: 'Plan', param: 'key', field: 'key' }), planValidation, validate, updatePlan);
+
+// @route   GET /api/admin/plans/:key/history
+router.get('/admin/plans/:key/history', protect, requirePermission('plans:read'), getPlanHistory);
+
+// @route   DELETE /api/admin/plans/:key
+router.delete('/admin/plans/:key', protect, requirePermission('plans:write'), audit('plan.delete', { model: 'Plan', param: 'key', field: 'key' }), deletePlan);
+
+module.exports = router;
@@ -6,20 +6,22 @@ const {
   approveRequest,
   rejectRequest,
 } = require('../controllers/requestController');
-const { protect, authorize } = require('../middleware/auth');
-const { createRequestValidation, validate } = require('../middleware/validators');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { createRequestValidation, rejectionValidation, validate } = require('../middleware/validators');
 const upload = require('../utils/upload');
+const { idempotent } = require('../middleware/idempotency');
 
 // @route   POST /api/requests
-router.post('/', protect, upload.single('proof_image'), createRequestValidation, validate, createRequest);
+router.post('/', protect, requireVerifiedEmail, upload.single('proof_image'), createRequestValidation, validate, createRequest);
 
 // @route   GET /api/requests
-router.get('/', protect, authorize('admin'), getAllRequests);
+router.get('/', protect, requirePermission('requests:read'), getAllRequests);
 
 // @route   POST /api/requests/approve/:id
-router.post('/approve/:id', protect, authorize('admin'), approveRequest);
+router.post('/approve/:id', protect, requirePermission('requests:approve'), idempotent, audit('request.approve', { model: 'Request' }), approveRequest);
 
 // @route   POST /api/requests/reject/:id
-router.post('/reject/:id', protect, authorize('admin'), rejectRequest);
+router.post('/reject/:id', protect, requirePermission('requests:approve'), audit('request.reject', { model: 'Request' }), rejectionValidation, validate, rejectRequest);
 
 module.exports = router;
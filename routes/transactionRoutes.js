@@ -1,9 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { getAllTransactions } = require('../controllers/transactionController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // @route   GET /api/transactions
-router.get('/', protect, authorize('admin'), getAllTransactions);
+router.get('/', protect, requirePermission('transactions:read'), getAllTransactions);
 
 module.exports = router;
@@ -1,13 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const upgradeRequestController = require('../controllers/upgradeRequestController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const upload = require('../utils/upload');
+const { idempotent } = require('../middleware/idempotency');
+const { rejectionValidation, validate } = require('../middleware/validators');
 
 // User routes
 router.post(
   '/',
   protect,
+  requireVerifiedEmail,
   upgradeRequestController.createUpgradeRequest
 );
 
@@ -36,6 +40,8 @@ router.post(
 router.post(
   '/referrer-reject/:id',
   protect,
+  rejectionValidation,
+  validate,
   upgradeRequestController.referrerRejectRequest
 );
 
@@ -43,21 +49,26 @@ router.post(
 router.get(
   '/all',
   protect,
-  authorize('admin'),
+  requirePermission('upgrades:read'),
   upgradeRequestController.getAllUpgradeRequests
 );
 
 router.post(
   '/approve/:id',
   protect,
-  authorize('admin'),
+  requirePermission('upgrades:approve'),
+  idempotent,
+  audit('upgrade_request.approve', { model: 'UpgradeRequest' }),
   upgradeRequestController.approveUpgradeRequest
 );
 
 router.post(
   '/reject/:id',
   protect,
-  authorize('admin'),
+  requirePermission('upgrades:approve'),
+  audit('upgrade_request.reject', { model: 'UpgradeRequest' }),
+  rejectionValidation,
+  validate,
   upgradeRequestController.rejectUpgradeRequest
 );
 
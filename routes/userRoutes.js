@@ -16,23 +16,25 @@ const {
   getAdminDashboardStats,
   uploadProfileImage
 } = require('../controllers/userController');
-const { protect, authorize } = require('../middleware/auth');
+const { getMySessions, revokeMySession } = require('../controllers/sessionController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const upload = require('../middleware/upload');
 
 // @route   GET /api/admin/dashboard-stats
-router.get('/admin/dashboard-stats', protect, authorize('admin'), getAdminDashboardStats);
+router.get('/admin/dashboard-stats', protect, requirePermission('dashboard:read'), getAdminDashboardStats);
 
 // @route   GET /api/users
-router.get('/users', protect, authorize('admin'), getAllUsers);
+router.get('/users', protect, requirePermission('users:read'), getAllUsers);
 
 // @route   GET /api/users/:id
-router.get('/users/:id', protect, authorize('admin'), getUserById);
+router.get('/users/:id', protect, requirePermission('users:read'), getUserById);
 
 // @route   PUT /api/users/:id
-router.put('/users/:id', protect, authorize('admin'), updateUser);
+router.put('/users/:id', protect, requirePermission('users:read'), audit('user.update', { model: 'User' }), updateUser);
 
 // @route   DELETE /api/users/:id
-router.delete('/users/:id', protect, authorize('admin'), deleteUser);
+router.delete('/users/:id', protect, requirePermission('users:delete'), audit('user.delete', { model: 'User' }), deleteUser);
 
 // @route   GET /api/me
 router.get('/me', protect, getMe);
@@ -49,6 +51,12 @@ router.put('/me/password', protect, changePassword);
 // @route   PUT /api/me/profile-image
 router.put('/me/profile-image', protect, upload.single('profileImage'), uploadProfileImage);
 
+// @route   GET /api/me/sessions
+router.get('/me/sessions', protect, getMySessions);
+
+// @route   DELETE /api/me/sessions/:id
+router.delete('/me/sessions/:id', protect, revokeMySession);
+
 // @route   GET /api/me/transactions/load-more
 router.get('/me/transactions/load-more', protect, loadMoreTransactions);
 
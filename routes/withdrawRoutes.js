@@ -3,27 +3,51 @@ const router = express.Router();
 const {
   createWithdrawal,
   getUserWithdrawals,
+  cancelWithdrawal,
   getPendingWithdrawals,
   approveWithdrawal,
   rejectWithdrawal,
+  getWithdrawals,
+  markWithdrawalProcessing,
+  markWithdrawalPaid,
+  markWithdrawalFailed,
 } = require('../controllers/withdrawController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { requireStepUp } = require('../middleware/twoFactor');
+const { idempotent } = require('../middleware/idempotency');
+const { rejectionValidation, validate } = require('../middleware/validators');
 
 // User routes
 // @route   POST /api/withdraw
-router.post('/withdraw', protect, createWithdrawal);
+router.post('/withdraw', protect, requireVerifiedEmail, idempotent, requireStepUp, createWithdrawal);
 
 // @route   GET /api/withdraw
 router.get('/withdraw', protect, getUserWithdrawals);
 
+// @route   DELETE /api/withdraw/:id
+router.delete('/withdraw/:id', protect, cancelWithdrawal);
+
 // Admin routes
+// @route   GET /api/admin/withdraws
+router.get('/admin/withdraws', protect, requirePermission('withdrawals:read'), getWithdrawals);
+
 // @route   GET /api/admin/withdraws/pending
-router.get('/admin/withdraws/pending', protect, authorize('admin'), getPendingWithdrawals);
+router.get('/admin/withdraws/pending', protect, requirePermission('withdrawals:read'), getPendingWithdrawals);
 
 // @route   POST /api/admin/withdraws/:id/approve
-router.post('/admin/withdraws/:id/approve', protect, authorize('admin'), approveWithdrawal);
+router.post('/admin/withdraws/:id/approve', protect, requirePermission('withdrawals:approve'), idempotent, audit('withdrawal.approve', { model: 'Withdraw' }), approveWithdrawal);
 
 // @route   POST /api/admin/withdraws/:id/reject
-router.post('/admin/withdraws/:id/reject', protect, authorize('admin'), rejectWithdrawal);
+router.post('/admin/withdraws/:id/reject', protect, requirePermission('withdrawals:approve'), audit('withdrawal.reject', { model: 'Withdraw' }), rejectionValidation, validate, rejectWithdrawal);
+
+// @route   POST /api/admin/withdraws/:id/processing
+router.post('/admin/withdraws/:id/processing', protect, requirePermission('withdrawals:payout'), audit('withdrawal.processing', { model: 'Withdraw' }), markWithdrawalProcessing);
+
+// @route   POST /api/admin/withdraws/:id/paid
+router.post('/admin/withdraws/:id/paid', protect, requirePermission('withdrawals:payout'), audit('withdrawal.paid', { model: 'Withdraw' }), markWithdrawalPaid);
+
+// @route   POST /api/admin/withdraws/:id/failed
+router.post('/admin/withdraws/:id/failed', protect, requirePermission('withdrawals:payout'), idempotent, audit('withdrawal.failed', { model: 'Withdraw' }), markWithdrawalFailed);
 
 module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyWithdrawalPolicy,
+  getWithdrawalPolicy,
+  updateWithdrawalPolicy,
+} = require('../controllers/withdrawalPolicyController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+// User route - rules shown before a withdrawal is submitted
+// @route   GET /api/withdraw/policy
+router.get('/withdraw/policy', protect, getMyWithdrawalPolicy);
+
+// Admin only - manage the withdrawal policy
+// @route   GET /api/admin/withdrawal-policy
+router.get('/admin/withdrawal-policy', protect, requirePermission('withdrawal_policy:read'), getWithdrawalPolicy);
+
+// @route   PUT /api/admin/withdrawal-policy
+router.put('/admin/withdrawal-policy', protect, requirePermission('withdrawal_policy:write'), audit('withdrawal_policy.update', { model: 'WithdrawalPolicy', param: null }), updateWithdrawalPolicy);
+
+module.exports = router;
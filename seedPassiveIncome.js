@@ -1,7 +1,7 @@
 require("dotenv").config();
 const mongoose = require("mongoose");
 const User = require("./models/User");
-const Transaction = require("./models/Transaction");
+const { postAdjustment } = require("./utils/ledger");
 
 // ===== CONFIGURATION =====
 // Replace this with your user's MongoDB ObjectId
@@ -33,28 +33,29 @@ async function seedPassiveIncome() {
     console.log(`\n👤 Found user: ${user.name} (${user.email})`);
     console.log(`💰 Current passive income: $${user.passive_income}`);
 
-    // Create passive income transactions
+    // Create passive income transactions through the ledger so balance,
+    // passive_income and the transaction sums stay in agreement
     let totalAdded = 0;
     const transactions = [];
 
     for (const amount of PASSIVE_INCOME_AMOUNTS) {
-      const transaction = await Transaction.create({
+      const transaction = await postAdjustment({
         user_id: USER_ID,
         type: "passive",
         amount: amount,
+        description: "Seeded passive income",
       });
       transactions.push(transaction);
       totalAdded += amount;
       console.log(`✅ Created passive income transaction: $${amount}`);
     }
 
-    // Update user's passive income
-    user.passive_income += totalAdded;
-    await user.save();
+    const updatedUser = await User.findById(USER_ID);
 
     console.log(`\n✅ Successfully added ${transactions.length} transactions`);
     console.log(`💵 Total passive income added: $${totalAdded}`);
-    console.log(`💰 New passive income balance: $${user.passive_income}`);
+    console.log(`💰 New passive income balance: $${updatedUser.passive_income}`);
+    console.log(`💰 New total balance: $${updatedUser.balance}`);
     console.log(`\n🎉 Done! You can now test the withdraw functionality.`);
 
     // Close connection
@@ -17,10 +17,19 @@ const ebookRoutes = require("./routes/ebookRoutes");
 const leaderboardRoutes = require("./routes/leaderboardRoutes");
 const discountRoutes = require("./routes/discountRoutes");
 const upgradeRequestRoutes = require("./routes/upgradeRequestRoutes");
+const discrepancyRoutes = require("./routes/discrepancyRoutes");
+const payoutMethodRoutes = require("./routes/payoutMethodRoutes");
+const payoutBatchRoutes = require("./routes/payoutBatchRoutes");
+const withdrawalPolicyRoutes = require("./routes/withdrawalPolicyRoutes");
+const auditLogRoutes = require("./routes/auditLogRoutes");
+const dualApprovalRoutes = require("./routes/dualApprovalRoutes");
+const loginAttemptRoutes = require("./routes/loginAttemptRoutes");
+const planRoutes = require("./routes/planRoutes");
 
 // Import cron jobs
 const { startLeaderboardJob } = require("./jobs/leaderboardJob");
 const { startResetJobs } = require("./jobs/resetJobs");
+const { startReconciliationJob } = require("./jobs/reconciliationJob");
 
 // Initialize express app
 const app = express();
@@ -61,8 +70,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS', 'HEAD'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Idempotency-Key', 'X-2FA-Code'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Idempotent-Replayed', 'Content-Disposition'],
   maxAge: 86400, // 24 hours
   optionsSuccessStatus: 204
 };
@@ -124,6 +133,14 @@ app.use("/api/ebooks", ebookRoutes);
 app.use("/api", leaderboardRoutes);
 app.use("/api", discountRoutes);
 app.use("/api/upgrade-requests", upgradeRequestRoutes);
+app.use("/api", discrepancyRoutes);
+app.use("/api", payoutMethodRoutes);
+app.use("/api", payoutBatchRoutes);
+app.use("/api", withdrawalPolicyRoutes);
+app.use("/api", auditLogRoutes);
+app.use("/api", dualApprovalRoutes);
+app.use("/api", loginAttemptRoutes);
+app.use("/api", planRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -153,6 +170,7 @@ const server = app.listen(PORT, () => {
   startLeaderboardJob();
   startResetJobs();
   console.log(" Leaderboard cron jobs started successfully");
+  startReconciliationJob();
 });
 
 // Set timeout on the server instance for large file uploads (10 minutes)
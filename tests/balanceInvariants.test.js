@@ -0,0 +1,153 @@
+const db = require('./helpers/db');
+const { createUser, mockRes, balancesOf } = require('./helpers/fixtures');
+const User = require('../models/User');
+const Request = require('../models/Request');
+const UpgradeRequest = require('../models/UpgradeRequest');
+const Withdraw = require('../models/Withdraw');
+const { placeHold } = require('../utils/ledger');
+const { approveRequest } = require('../controllers/requestController');
+const { approveUpgradeRequest } = require('../controllers/upgradeRequestController');
+const {
+  approveWithdrawal,
+  rejectWithdrawal,
+  markWithdrawalFailed,
+} = require('../controllers/withdrawController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const STEPS = 25;
+
+// Small deterministic generator so a failing sequence can be replayed
+// from its seed
+const generator = (seed) => () => {
+  seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+  return seed / 4294967296;
+};
+
+const call = async (handler, req) => {
+  const res = mockRes();
+  await handler({ body: {}, ...req }, res);
+  return res;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Runs random approvals, upgrades and withdrawals over a growing tree of
+// members, keeping track of who is on which plan
+const simulation = async (seed) => {
+  const random = generator(seed);
+  const pick = (items) => items[Math.floor(random() * items.length)];
+
+  const admin = await createUser({ role: 'admin' });
+  const members = [await createUser()];
+  const plans = { [members[0]._id]: 'knowic' };
+
+  const purchase = async () => {
+    const sender = pick(members);
+    const buyer = await createUser({ referral_of: sender._id, status: 'pending', plan: null });
+    const plan = pick(['knowic', 'learnic']);
+    const discount = random() < 0.25 ? { discounted: true, finalPrice: 20 } : {};
+
+    const request = await Request.create({
+      user_id: buyer._id,
+      sender_id: sender._id,
+      proof_image: 'uploads/proof.png',
+      plan,
+      ...discount,
+    });
+
+    const res = await call(approveRequest, { params: { id: request._id.toString() } });
+    expect(res.statusCode).toBe(200);
+
+    members.push(buyer);
+    plans[buyer._id] = plan;
+  };
+
+  const upgrade = async () => {
+    const candidates = members.filter((m) => plans[m._id] === 'knowic');
+    if (candidates.length === 0 || members.length < 2) return purchase();
+
+    const user = pick(candidates);
+    const referrer = pick(members.filter((m) => !m._id.equals(user._id)));
+
+    const upgradeRequest = await UpgradeRequest.create({
+      user_id: user._id,
+      previous_plan: 'knowic',
+      new_plan: 'learnic',
+      referral_code: referrer.referral_code,
+      new_referrer_id: referrer._id,
+      proof_image: 'uploads/proof.png',
+      status: 'user_approved',
+    });
+
+    const res = await call(approveUpgradeRequest, { params: { id: upgradeRequest._id.toString() } });
+    expect(res.statusCode).toBe(200);
+
+    plans[user._id] = 'learnic';
+  };
+
+  // Approve, reject, or approve and then fail a withdrawal (below the
+  // second-approval threshold)
+  const withdraw = async () => {
+    const users = await User.find({ _id: { $in: members.map((m) => m._id) } });
+    const funded = users.filter((u) => u.passive_income - u.held_balance >= 1);
+    if (funded.length === 0) return purchase();
+
+    const user = pick(funded);
+    const available = Math.min(user.passive_income - user.held_balance, 400);
+    const amount = Math.floor(available * (0.2 + 0.8 * random()) * 100) / 100;
+    const fee = round(amount * 0.02);
+
+    expect(await placeHold(user._id, amount)).toBe(true);
+    const withdrawal = await Withdraw.create({
+      user_id: user._id,
+      amount,
+      fee,
+      status: 'pending',
+      held: true,
+    });
+    const req = { params: { id: withdrawal._id.toString() }, user: admin };
+
+    const outcome = random();
+    if (outcome < 0.25) {
+      const res = await call(rejectWithdrawal, { ...req, body: { reasonCode: 'other' } });
+      expect(res.statusCode).toBe(200);
+      return;
+    }
+
+    const res = await call(approveWithdrawal, req);
+    expect(res.statusCode).toBe(200);
+
+    if (outcome > 0.75) {
+      const failed = await call(markWithdrawalFailed, { ...req, body: { reason: 'Bounced' } });
+      expect(failed.statusCode).toBe(200);
+    }
+  };
+
+  const operations = [purchase, purchase, upgrade, withdraw, withdraw];
+
+  return {
+    members,
+    step: () => pick(operations)(),
+  };
+};
+
+describe('balance invariants', () => {
+  test.each([1, 7, 42])('balances agree after every step (seed %i)', async (seed) => {
+    const { members, step } = await simulation(seed);
+
+    for (let i = 0; i < STEPS; i++) {
+      await step();
+
+      for (const member of members) {
+        const { snapshot, ledger, transactions } = await balancesOf(member._id);
+
+        expect(snapshot).toEqual(ledger);
+        expect(snapshot).toEqual(transactions);
+        expect(snapshot.balance).toBeCloseTo(snapshot.direct_income + snapshot.passive_income, 2);
+      }
+    }
+  });
+});
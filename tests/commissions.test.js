@@ -0,0 +1,112 @@
+const db = require('./helpers/db');
+const { createUser, mockRes } = require('./helpers/fixtures');
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const Request = require('../models/Request');
+const JournalEntry = require('../models/JournalEntry');
+const Transaction = require('../models/Transaction');
+const { getPlans } = require('../utils/plans');
+const { approveRequest } = require('../controllers/requestController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// knowic (price 24) paying three levels: $10, 10% and $1
+const setUpLadder = async () => {
+  await getPlans();
+  await Plan.updateOne(
+    { key: 'knowic' },
+    {
+      commissionLevels: [
+        { type: 'fixed', value: 10 },
+        { type: 'percentage', value: 10 },
+        { type: 'fixed', value: 1 },
+      ],
+    }
+  );
+};
+
+// top <- third <- second <- sender <- buyer
+const setUpChain = async () => {
+  const top = await createUser();
+  const third = await createUser({ referral_of: top._id });
+  const second = await createUser({ referral_of: third._id });
+  const sender = await createUser({ referral_of: second._id });
+  const buyer = await createUser({ referral_of: sender._id, status: 'pending', plan: null });
+
+  return { top, third, second, sender, buyer };
+};
+
+const approve = async (request) => {
+  const res = mockRes();
+  await approveRequest({ params: { id: request._id.toString() } }, res);
+  return res;
+};
+
+const requestFrom = (buyer, sender, fields = {}) =>
+  Request.create({
+    user_id: buyer._id,
+    sender_id: sender._id,
+    proof_image: 'uploads/proof.png',
+    plan: 'knowic',
+    ...fields,
+  });
+
+describe('approveRequest commissions', () => {
+  test('pays each of three levels once, tagged with its level', async () => {
+    await setUpLadder();
+    const { top, third, second, sender, buyer } = await setUpChain();
+
+    const res = await approve(await requestFrom(buyer, sender));
+    expect(res.statusCode).toBe(200);
+
+    const reload = (user) => User.findById(user._id);
+    expect((await reload(sender)).direct_income).toBe(10);
+    expect((await reload(second)).passive_income).toBe(2.4);
+    expect((await reload(third)).passive_income).toBe(1);
+    expect((await reload(top)).balance).toBe(0);
+
+    const entry = await JournalEntry.findOne({ type: 'plan_purchase' });
+    const transactions = await Transaction.find().sort({ level: 1 });
+    expect(transactions.map((t) => [t.user_id.toString(), t.type, t.amount, t.level])).toEqual([
+      [sender._id.toString(), 'direct', 10, 1],
+      [second._id.toString(), 'passive', 2.4, 2],
+      [third._id.toString(), 'passive', 1, 3],
+    ]);
+    transactions.forEach((t) => {
+      expect(t.journal_entry_id.toString()).toBe(entry._id.toString());
+      expect(t.plan).toBe('knowic');
+    });
+  });
+
+  test('pays only the first level on a discounted purchase', async () => {
+    await setUpLadder();
+    const { third, second, sender, buyer } = await setUpChain();
+
+    const request = await requestFrom(buyer, sender, { discounted: true, finalPrice: 20 });
+    const res = await approve(request);
+    expect(res.statusCode).toBe(200);
+
+    expect((await User.findById(sender._id)).direct_income).toBe(10);
+    expect((await User.findById(second._id)).balance).toBe(0);
+    expect((await User.findById(third._id)).balance).toBe(0);
+    expect(await Transaction.countDocuments()).toBe(1);
+  });
+
+  test('books the plan discount, not the price on the request', async () => {
+    await setUpLadder();
+    await Plan.updateOne({ key: 'knowic' }, { discount: 4 });
+    const { sender, buyer } = await setUpChain();
+
+    const request = await requestFrom(buyer, sender, { discounted: true, finalPrice: 1 });
+    const res = await approve(request);
+    expect(res.statusCode).toBe(200);
+
+    const entry = await JournalEntry.findOne({ type: 'plan_purchase' });
+    expect(Math.max(...entry.legs.map((leg) => leg.debit))).toBe(20);
+
+    const booked = await Request.findById(request._id);
+    expect([booked.originalPrice, booked.discountAmount, booked.finalPrice]).toEqual([24, 4, 20]);
+  });
+});
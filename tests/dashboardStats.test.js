@@ -0,0 +1,42 @@
+const db = require('./helpers/db');
+const { createUser, mockRes } = require('./helpers/fixtures');
+const Request = require('../models/Request');
+const { getPlans } = require('../utils/plans');
+const { postAdjustment } = require('../utils/ledger');
+const { approveRequest } = require('../controllers/requestController');
+const { getAdminDashboardStats } = require('../controllers/userController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const call = async (handler, req) => {
+  const res = mockRes();
+  await handler(req, res);
+  return res;
+};
+
+describe('getAdminDashboardStats', () => {
+  test('reports revenue net of every commission and adjustment', async () => {
+    await getPlans();
+    const top = await createUser();
+    const sender = await createUser({ referral_of: top._id });
+    const buyer = await createUser({ referral_of: sender._id, status: 'pending', plan: null });
+
+    // knowic sells at 24: $16 direct to the sender and $2 passive to top
+    const request = await Request.create({
+      user_id: buyer._id,
+      sender_id: sender._id,
+      proof_image: 'uploads/proof.png',
+      plan: 'knowic',
+    });
+    expect((await call(approveRequest, { params: { id: request._id.toString() } })).statusCode).toBe(200);
+    await postAdjustment({ user_id: top._id, type: 'passive', amount: 1.5 });
+
+    const res = await call(getAdminDashboardStats, {});
+    expect(res.statusCode).toBe(200);
+    expect(res.body.stats.totalRevenue).toBe(24 - 16 - 2 - 1.5);
+    expect(res.body.charts.revenueOverTime).toHaveLength(1);
+    expect(res.body.charts.revenueOverTime[0].revenue).toBe(4.5);
+  });
+});
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// Approvals run in MongoDB transactions, which need a replica set. The
+// mongod binary is downloaded on first use; set MONGOMS_SYSTEM_BINARY to
+// use one that is already installed.
+let replSet;
+
+exports.connect = async () => {
+  replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: 'wiredTiger' },
+  });
+  await mongoose.connect(replSet.getUri());
+
+  // Collections and unique indexes must exist before the first transaction
+  await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+};
+
+exports.clear = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+};
+
+exports.disconnect = async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+};
@@ -0,0 +1,72 @@
+const User = require('../../models/User');
+const Transaction = require('../../models/Transaction');
+const { getUserLedgerBalances } = require('../../utils/ledger');
+
+let userCount = 0;
+
+// An active member; pass `referral_of` to place them under a referrer
+exports.createUser = (fields = {}) => {
+  userCount++;
+  return User.create({
+    name: `User ${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: 'password123',
+    status: 'active',
+    plan: 'knowic',
+    emailVerified: true,
+    ...fields,
+  });
+};
+
+// Minimal Express response that records what the handler sent
+exports.mockRes = () => {
+  const res = { statusCode: 200, body: undefined, headers: {} };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  return res;
+};
+
+
+const cents = (value) => Math.round((value || 0) * 100) / 100;
+
+// A user's balances three ways - the snapshots on the user, their ledger
+// accounts and their transaction sums - rounded to cents
+exports.balancesOf = async (userId) => {
+  const user = await User.findById(userId);
+  const ledger = await getUserLedgerBalances(userId);
+
+  const sums = { direct: 0, passive: 0, withdrawal: 0, withdrawal_fee: 0, reversal: 0 };
+  const transactions = await Transaction.find({ user_id: userId });
+  transactions.forEach((t) => {
+    sums[t.type] += t.amount;
+  });
+  const paidOut = sums.withdrawal + sums.withdrawal_fee - sums.reversal;
+
+  return {
+    snapshot: {
+      balance: cents(user.balance),
+      direct_income: cents(user.direct_income),
+      passive_income: cents(user.passive_income),
+    },
+    ledger: {
+      balance: cents(ledger.balance),
+      direct_income: cents(ledger.direct_income),
+      passive_income: cents(ledger.passive_income),
+    },
+    transactions: {
+      balance: cents(sums.direct + sums.passive - paidOut),
+      direct_income: cents(sums.direct),
+      passive_income: cents(sums.passive - paidOut),
+    },
+  };
+};
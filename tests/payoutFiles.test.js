@@ -0,0 +1,56 @@
+const multer = require('multer');
+const { toCsv } = require('../utils/payoutFiles');
+const { handleMulterError } = require('../utils/settlementUpload');
+const { mockRes } = require('./helpers/fixtures');
+
+const withdrawal = (user, method) => ({
+  _id: '64b000000000000000000001',
+  amount: 100,
+  fee: 2,
+  user_id: user,
+  payout_method_id: { type: 'bank_account', bankName: 'Bank', accountNumber: '123', ...method },
+});
+
+const rowOf = (csv) => csv.split('\r\n')[1];
+
+describe('toCsv', () => {
+  test('writes the payout amount after fees', () => {
+    const csv = toCsv([withdrawal({ name: 'Ann', email: 'ann@example.com' })]);
+    expect(rowOf(csv)).toBe(
+      '64b000000000000000000001,Ann,ann@example.com,98.00,bank_account,Bank,,123,,,,'
+    );
+  });
+
+  test.each(['=HYPERLINK("http://x")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd'])(
+    'neutralises values starting like a formula: %s',
+    (name) => {
+      const csv = toCsv([withdrawal({ name, email: 'a@example.com' })]);
+      const value = rowOf(csv).split(',')[1];
+      expect(value).toMatch(/^"?'/);
+    }
+  );
+
+  test('quotes values with separators', () => {
+    const csv = toCsv([withdrawal({ name: 'Doe, "J"', email: 'j@example.com' }, { accountName: '=1' })]);
+    expect(rowOf(csv)).toContain(`"Doe, ""J"""`);
+    expect(rowOf(csv)).toContain(`,'=1,`);
+  });
+});
+
+describe('settlement upload errors', () => {
+  test('answers an oversized file with 400', () => {
+    const res = mockRes();
+    handleMulterError(new multer.MulterError('LIMIT_FILE_SIZE'), {}, res, jest.fn());
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch('2MB');
+  });
+
+  test('answers a rejected file type with 400', () => {
+    const res = mockRes();
+    handleMulterError(new Error('Only CSV files are allowed'), {}, res, jest.fn());
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ success: false, message: 'Only CSV files are allowed' });
+  });
+});
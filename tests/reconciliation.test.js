@@ -0,0 +1,49 @@
+const db = require('./helpers/db');
+const { createUser } = require('./helpers/fixtures');
+const User = require('../models/User');
+const BalanceDiscrepancy = require('../models/BalanceDiscrepancy');
+const { postAdjustment } = require('../utils/ledger');
+const { reconcileBalances } = require('../jobs/reconciliationJob');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// A user whose passive income snapshot is `drift` above their ledger
+const setUpDrift = async (drift) => {
+  const user = await createUser();
+  await postAdjustment({ user_id: user._id, type: 'passive', amount: 10 });
+  await User.updateOne({ _id: user._id }, { $inc: { passive_income: drift, balance: drift } });
+  return user;
+};
+
+describe('reconcileBalances', () => {
+  test('records every detection on the open discrepancy', async () => {
+    const user = await setUpDrift(5);
+
+    await reconcileBalances();
+    await User.updateOne({ _id: user._id }, { $inc: { passive_income: 1, balance: 1 } });
+    await reconcileBalances();
+
+    const discrepancies = await BalanceDiscrepancy.find({ user_id: user._id });
+    expect(discrepancies).toHaveLength(1);
+    expect(discrepancies[0].status).toBe('open');
+    expect(discrepancies[0].occurrences.map((o) => o.before.passive_income)).toEqual([15, 16]);
+    expect(discrepancies[0].before.passive_income).toBe(16);
+    expect(discrepancies[0].after.passive_income).toBe(10);
+  });
+
+  test('marks drift that went away as resolved, not reviewed', async () => {
+    const user = await setUpDrift(5);
+
+    await reconcileBalances();
+    await User.updateOne({ _id: user._id }, { $inc: { passive_income: -5, balance: -5 } });
+    await reconcileBalances();
+
+    const discrepancy = await BalanceDiscrepancy.findOne({ user_id: user._id });
+    expect(discrepancy.status).toBe('resolved');
+    expect(discrepancy.resolvedAt).toBeInstanceOf(Date);
+    expect(discrepancy.reviewedBy).toBeNull();
+    expect(discrepancy.reviewedAt).toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+const db = require('./helpers/db');
+const { createUser, mockRes } = require('./helpers/fixtures');
+const { generateSecret, generateTotp } = require('../utils/totp');
+const { idempotent } = require('../middleware/idempotency');
+const { requireStepUp } = require('../middleware/twoFactor');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// POST /withdraw as routed: idempotent, then requireStepUp, then a handler
+// that counts how often it really ran
+const setUp = async () => {
+  const secret = generateSecret();
+  const user = await createUser({ twoFactorEnabled: true, twoFactorSecret: secret });
+  let handled = 0;
+
+  const send = (headers) =>
+    new Promise((resolve, reject) => {
+      const res = mockRes();
+      const json = res.json;
+      // idempotent sends once the key is stored
+      res.json = (body) => {
+        json(body);
+        resolve(res);
+        return res;
+      };
+
+      const req = {
+        method: 'POST',
+        originalUrl: '/api/withdraw',
+        body: { amount: 10 },
+        user,
+        get: (name) => headers[name],
+      };
+
+      idempotent(req, res, () =>
+        requireStepUp(req, res, () => {
+          handled++;
+          res.status(201).json({ success: true, handled });
+        })
+      ).catch(reject);
+    });
+
+  return { secret, send, handled: () => handled };
+};
+
+describe('withdrawal step-up with Idempotency-Key', () => {
+  test('replays a completed request although its code is used up', async () => {
+    const { secret, send, handled } = await setUp();
+    const headers = { 'Idempotency-Key': 'key-1', 'X-2FA-Code': generateTotp(secret) };
+
+    const first = await send(headers);
+    expect(first.statusCode).toBe(201);
+
+    const retry = await send(headers);
+    expect(retry.statusCode).toBe(201);
+    expect(retry.headers['Idempotent-Replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(handled()).toBe(1);
+  });
+
+  test('a new key still needs a new code', async () => {
+    const { secret, send } = await setUp();
+    const code = generateTotp(secret);
+
+    expect((await send({ 'Idempotency-Key': 'key-1', 'X-2FA-Code': code })).statusCode).toBe(201);
+
+    const other = await send({ 'Idempotency-Key': 'key-2', 'X-2FA-Code': code });
+    expect(other.statusCode).toBe(401);
+    expect(other.body.code).toBe('TWO_FACTOR_INVALID');
+  });
+
+  test('a request refused for a missing code can be retried with the same key', async () => {
+    const { secret, send, handled } = await setUp();
+
+    const refused = await send({ 'Idempotency-Key': 'key-1' });
+    expect(refused.statusCode).toBe(401);
+
+    const retry = await send({ 'Idempotency-Key': 'key-1', 'X-2FA-Code': generateTotp(secret) });
+    expect(retry.statusCode).toBe(201);
+    expect(retry.headers['Idempotent-Replayed']).toBeUndefined();
+    expect(handled()).toBe(1);
+  });
+});
@@ -0,0 +1,104 @@
+const db = require('./helpers/db');
+const { createUser, mockRes } = require('./helpers/fixtures');
+const User = require('../models/User');
+const UpgradeRequest = require('../models/UpgradeRequest');
+const JournalEntry = require('../models/JournalEntry');
+const Transaction = require('../models/Transaction');
+const { approveUpgradeRequest } = require('../controllers/upgradeRequestController');
+
+beforeAll(db.connect);
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await db.clear();
+});
+afterAll(db.disconnect);
+
+// knowic member under `oldReferrer` upgrading to learnic under `referrer`,
+// whose own referrer is `grandReferrer`
+const setUp = async () => {
+  const oldReferrer = await createUser();
+  const grandReferrer = await createUser();
+  const referrer = await createUser({ referral_of: grandReferrer._id, plan: 'learnic' });
+  const user = await createUser({ referral_of: oldReferrer._id });
+
+  const upgradeRequest = await UpgradeRequest.create({
+    user_id: user._id,
+    previous_plan: 'knowic',
+    new_plan: 'learnic',
+    referral_code: referrer.referral_code,
+    new_referrer_id: referrer._id,
+    proof_image: 'uploads/proof.png',
+    status: 'user_approved',
+  });
+
+  return { oldReferrer, grandReferrer, referrer, user, upgradeRequest };
+};
+
+const approve = async (upgradeRequest) => {
+  const res = mockRes();
+  await approveUpgradeRequest({ params: { id: upgradeRequest._id.toString() } }, res);
+  return res;
+};
+
+describe('approveUpgradeRequest', () => {
+  test('moves the user and pays the new upline once', async () => {
+    const { grandReferrer, referrer, user, upgradeRequest } = await setUp();
+
+    const res = await approve(upgradeRequest);
+    expect(res.statusCode).toBe(200);
+
+    const upgraded = await User.findById(user._id);
+    expect(upgraded.plan).toBe('learnic');
+    expect(upgraded.referral_of.toString()).toBe(referrer._id.toString());
+
+    expect((await User.findById(referrer._id)).direct_income).toBe(40);
+    expect((await User.findById(grandReferrer._id)).passive_income).toBe(4);
+    expect(await JournalEntry.countDocuments({ type: 'plan_upgrade' })).toBe(1);
+    expect(await Transaction.countDocuments()).toBe(2);
+
+    // A retried approval is refused and pays nothing more
+    const retry = await approve(upgradeRequest);
+    expect(retry.statusCode).toBe(400);
+    expect(await Transaction.countDocuments()).toBe(2);
+  });
+
+  describe.each([
+    ['claiming the request', () => [UpgradeRequest, 'findOneAndUpdate']],
+    ['saving the user', () => [User.prototype, 'save']],
+    ['posting the journal entry', () => [JournalEntry, 'create']],
+    ['updating balance snapshots', () => [User, 'updateOne']],
+    ['recording the transactions', () => [Transaction, 'create']],
+  ])('when %s fails', (step, target) => {
+    test('leaves nothing behind and can be approved again', async () => {
+      const { oldReferrer, grandReferrer, referrer, user, upgradeRequest } = await setUp();
+
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const [object, method] = target();
+      jest.spyOn(object, method).mockRejectedValueOnce(new Error('Injected failure'));
+
+      const res = await approve(upgradeRequest);
+      expect(res.statusCode).toBe(500);
+
+      expect((await UpgradeRequest.findById(upgradeRequest._id)).status).toBe('user_approved');
+
+      const unchanged = await User.findById(user._id);
+      expect(unchanged.plan).toBe('knowic');
+      expect(unchanged.referral_of.toString()).toBe(oldReferrer._id.toString());
+
+      for (const id of [referrer._id, grandReferrer._id]) {
+        const member = await User.findById(id);
+        expect(member.balance).toBe(0);
+        expect(member.direct_income).toBe(0);
+        expect(member.passive_income).toBe(0);
+      }
+      expect(await JournalEntry.countDocuments()).toBe(0);
+      expect(await Transaction.countDocuments()).toBe(0);
+
+      // Once the failure is gone the same request goes through exactly once
+      const retry = await approve(upgradeRequest);
+      expect(retry.statusCode).toBe(200);
+      expect((await User.findById(referrer._id)).direct_income).toBe(40);
+      expect(await Transaction.countDocuments()).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const db = require('./helpers/db');
+const { createUser, mockRes } = require('./helpers/fixtures');
+const User = require('../models/User');
+const Withdraw = require('../models/Withdraw');
+const JournalEntry = require('../models/JournalEntry');
+const Transaction = require('../models/Transaction');
+const PayoutMethod = require('../models/PayoutMethod');
+const DualApproval = require('../models/DualApproval');
+const { postAdjustment, placeHold } = require('../utils/ledger');
+const {
+  approveWithdrawal,
+  createWithdrawal,
+  cancelWithdrawal,
+} = require('../controllers/withdrawController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// A pending withdrawal of `amount` with its hold placed, out of `income`
+// passive income
+const setUpWithdrawal = async ({ income, amount, fee }) => {
+  const user = await createUser();
+  await postAdjustment({ user_id: user._id, type: 'passive', amount: income });
+  await placeHold(user._id, amount);
+
+  const withdrawal = await Withdraw.create({
+    user_id: user._id,
+    amount,
+    fee,
+    status: 'pending',
+    held: true,
+  });
+
+  return { user, withdrawal };
+};
+
+const approve = async (withdrawal, admin) => {
+  const res = mockRes();
+  await approveWithdrawal({ params: { id: withdrawal._id.toString() }, user: admin }, res);
+  return res;
+};
+
+describe('approveWithdrawal', () => {
+  test('books the payout and the fee separately', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const { user, withdrawal } = await setUpWithdrawal({ income: 150, amount: 100, fee: 2 });
+
+    const res = await approve(withdrawal, admin);
+    expect(res.statusCode).toBe(200);
+
+    const paid = await User.findById(user._id);
+    expect(paid.passive_income).toBe(50);
+    expect(paid.balance).toBe(50);
+    expect(paid.held_balance).toBe(0);
+
+    const transactions = await Transaction.find({ user_id: user._id, type: { $ne: 'passive' } });
+    expect(transactions.map((t) => [t.type, t.amount]).sort()).toEqual([
+      ['withdrawal', 98],
+      ['withdrawal_fee', 2],
+    ]);
+
+    const entry = await JournalEntry.findOne({ type: 'withdrawal' });
+    transactions.forEach((t) => {
+      expect(t.journal_entry_id.toString()).toBe(entry._id.toString());
+    });
+  });
+
+  test('books a single transaction without a fee', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const { user, withdrawal } = await setUpWithdrawal({ income: 100, amount: 100, fee: 0 });
+
+    const res = await approve(withdrawal, admin);
+    expect(res.statusCode).toBe(200);
+
+    expect((await User.findById(user._id)).passive_income).toBe(0);
+    expect(await Transaction.countDocuments({ user_id: user._id, type: 'withdrawal' })).toBe(1);
+    expect(await Transaction.countDocuments({ user_id: user._id, type: 'withdrawal_fee' })).toBe(0);
+  });
+});
+
+describe('createWithdrawal', () => {
+  test('parallel requests cannot pass the pending limit together', async () => {
+    const user = await createUser();
+    await postAdjustment({ user_id: user._id, type: 'passive', amount: 200 });
+    await PayoutMethod.create({
+      user_id: user._id,
+      type: 'mobile_wallet',
+      walletProvider: 'Wallet',
+      walletNumber: '0123456789',
+      verificationStatus: 'verified',
+      isDefault: true,
+    });
+
+    // The default policy allows one pending withdrawal
+    const submit = async () => {
+      const res = mockRes();
+      await createWithdrawal({ body: { amount: 50 }, user }, res);
+      return res.statusCode;
+    };
+    const statuses = await Promise.all([submit(), submit(), submit()]);
+
+    expect(statuses.filter((status) => status === 201)).toHaveLength(1);
+    expect(await Withdraw.countDocuments({ user_id: user._id })).toBe(1);
+    expect((await User.findById(user._id)).held_balance).toBe(50);
+  });
+
+  test('rejects a payout method id that is not an ObjectId', async () => {
+    const user = await createUser();
+    const res = mockRes();
+    await createWithdrawal({ body: { amount: 50, payoutMethodId: { $ne: null } }, user }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid payout method');
+  });
+});
+
+describe('cancelWithdrawal', () => {
+  test('cancels the approval waiting for a second admin', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const { user, withdrawal } = await setUpWithdrawal({ income: 1000, amount: 800, fee: 0 });
+
+    const queued = await approve(withdrawal, admin);
+    expect(queued.statusCode).toBe(202);
+
+    const res = mockRes();
+    await cancelWithdrawal({ params: { id: withdrawal._id.toString() }, user }, res);
+    expect(res.statusCode).toBe(200);
+
+    const approval = await DualApproval.findOne({ targetId: withdrawal._id });
+    expect(approval.status).toBe('cancelled');
+    expect((await User.findById(user._id)).held_balance).toBe(0);
+  });
+});
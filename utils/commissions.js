@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { commissionAmount } = require("../models/commissionLevel");
+
+// Commission ladder for a plan or pricing snapshot. Plans without a
+// configured ladder pay `direct` at level 1 and `passive` at level 2.
+const getCommissionLevels = (pricing) => {
+  if (pricing.commissionLevels && pricing.commissionLevels.length > 0) {
+    return pricing.commissionLevels;
+  }
+  return [
+    { type: "fixed", value: pricing.direct },
+    { type: "fixed", value: pricing.passive },
+  ];
+};
+
+exports.getCommissionLevels = getCommissionLevels;
+
+// @desc    Walk up the referral chain from the first beneficiary (the
+//          purchaser's referrer) and work out what each level earns.
+//          Level 1 is paid as direct income, deeper levels as passive income.
+//          Discounted purchases pay no passive income, so only level 1 is paid.
+//          Returns [{ user_id, type, amount, level }] ready for the ledger.
+exports.calculateCommissions = async (
+  { pricing, firstBeneficiaryId, discounted = false },
+  { session } = {}
+) => {
+  const levels = getCommissionLevels(pricing);
+  const commissions = [];
+  const visited = new Set();
+
+  let beneficiaryId = firstBeneficiaryId;
+
+  for (let i = 0; i < levels.length; i++) {
+    const level = i + 1;
+
+    // referral_of can hold non-id markers such as "pending_request"
+    if (!beneficiaryId || !mongoose.isValidObjectId(beneficiaryId)) break;
+    if (level > 1 && discounted) break;
+
+    // Guard against referral loops
+    const key = beneficiaryId.toString();
+    if (visited.has(key)) break;
+    visited.add(key);
+
+    const beneficiary = await User.findById(beneficiaryId)
+      .select("referral_of")
+      .session(session);
+    if (!beneficiary) break;
+
+    const amount = commissionAmount(levels[i], pricing.price);
+    if (amount > 0) {
+      commissions.push({
+        user_id: beneficiary._id,
+        type: level === 1 ? "direct" : "passive",
+        amount,
+        level,
+      });
+    }
+
+    beneficiaryId = beneficiary.referral_of;
+  }
+
+  return commissions;
+};
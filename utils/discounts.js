@@ -0,0 +1,45 @@
+const Discount = require("../models/Discount");
+const { maxDiscount } = require("./plans");
+
+// Discount settings (created with defaults on first use). Settings saved
+// before the singleton key existed are adopted rather than duplicated.
+const getDiscountSettings = async () => {
+  await Discount.updateOne(
+    { key: { $exists: false } },
+    { $set: { key: "default" } }
+  ).catch((error) => {
+    // A keyed document already exists
+    if (error.code !== 11000) throw error;
+  });
+
+  return Discount.findOneAndUpdate(
+    { key: "default" },
+    { $setOnInsert: { key: "default" } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+exports.getDiscountSettings = getDiscountSettings;
+
+// Sale price of a plan or pricing snapshot after its discount, never below
+// what the direct commission needs
+const discountedPrice = (pricing) =>
+  Math.round((pricing.price - Math.min(pricing.discount || 0, maxDiscount(pricing))) * 100) / 100;
+
+exports.discountedPrice = discountedPrice;
+
+// Discount fields for a sale of `plan` that the referrer marked as
+// discounted, worked out from the plan rather than taken from the client.
+// Null when discounts are switched off or the plan has none.
+exports.discountTerms = async (plan) => {
+  const settings = await getDiscountSettings();
+  if (!settings.enabled || !(plan.discount > 0)) return null;
+
+  const finalPrice = discountedPrice(plan);
+  return {
+    discounted: true,
+    discountAmount: Math.round((plan.price - finalPrice) * 100) / 100,
+    originalPrice: plan.price,
+    finalPrice,
+  };
+};
@@ -0,0 +1,62 @@
+const DualApproval = require("../models/DualApproval");
+
+// Amounts above these thresholds need a second admin. Withdrawals default
+// to 500; plan changes default to 0, i.e. every change to a paid plan.
+const threshold = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const THRESHOLDS = {
+  withdrawal: threshold(process.env.DUAL_APPROVAL_WITHDRAWAL_THRESHOLD, 500),
+  planChange: threshold(process.env.DUAL_APPROVAL_PLAN_THRESHOLD, 0),
+};
+
+exports.THRESHOLDS = THRESHOLDS;
+
+// Permission the requester and the second admin both need for each action
+exports.ACTION_PERMISSIONS = {
+  "withdrawal.approve": "withdrawals:approve",
+  "user.plan_change": "users:write",
+};
+
+exports.withdrawalNeedsSecondApproval = (withdrawal) =>
+  withdrawal.amount > THRESHOLDS.withdrawal;
+
+// A plan change is weighed by the more expensive of the two plans
+exports.planChangeValue = (fromPlan, toPlan) =>
+  Math.max(fromPlan ? fromPlan.price : 0, toPlan ? toPlan.price : 0);
+
+exports.planChangeNeedsSecondApproval = (value) => value > THRESHOLDS.planChange;
+
+// Queue an action for a second admin. Returns { approval, created }; when
+// the same action on the same document is already waiting, that one is
+// returned instead of a new one.
+exports.requestSecondApproval = async (
+  { action, targetModel, targetId, payload = {}, amount = 0, requestedBy },
+  { session } = {}
+) => {
+  const existing = await DualApproval.findOne({
+    action,
+    targetId,
+    status: "pending",
+  }).session(session || null);
+
+  if (existing) return { approval: existing, created: false };
+
+  const [approval] = await DualApproval.create(
+    [{ action, targetModel, targetId, payload, amount, requestedBy }],
+    { session }
+  );
+
+  return { approval, created: true };
+};
+
+// Withdraw any pending approvals for a document that no longer needs them,
+// e.g. a withdrawal the user cancelled
+exports.cancelPendingApprovals = async (targetId, note, { session } = {}) =>
+  DualApproval.updateMany(
+    { targetId, status: "pending" },
+    { $set: { status: "cancelled", decidedAt: new Date(), note } },
+    { session }
+  );
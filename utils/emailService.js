@@ -44,3 +44,133 @@ exports.sendPasswordResetEmail = async (email, resetUrl) => {
     throw new Error("Error sending email");
   }
 };
+
+// Send email address verification email
+exports.sendVerificationEmail = async (email, verifyUrl) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: `"YJ Network" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: "Verify Your Email Address",
+    html: `
+      <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Verify Your Email Address</h2>
+        <p>Thank you for signing up. Please confirm that this is your email address:</p>
+        <a href="${verifyUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0;">Verify Email</a>
+        <p>If you did not create an account, please ignore this email.</p>
+        <p>This link will expire in 24 hours.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+        <p style="color: #666; font-size: 12px;">If the button doesn't work, copy and paste this link into your browser:</p>
+        <p style="color: #007bff; font-size: 12px; word-break: break-all;">${verifyUrl}</p>
+      </div>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error("Email send error:", error);
+    throw new Error("Error sending email");
+  }
+};
+
+// Send account locked email with an unlock link
+exports.sendAccountLockedEmail = async (email, unlockUrl) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: `"YJ Network" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: "Your Account Has Been Temporarily Locked",
+    html: `
+      <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Account Temporarily Locked</h2>
+        <p>We noticed several failed attempts to sign in to your account, so we have locked it for 30 minutes.</p>
+        <p>If this was you, you can unlock your account now:</p>
+        <a href="${unlockUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0;">Unlock Account</a>
+        <p>If this was not you, someone may know your email address. Your account stays protected; consider changing your password and enabling two-factor authentication.</p>
+        <p>This link will expire in 1 hour.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+        <p style="color: #666; font-size: 12px;">If the button doesn't work, copy and paste this link into your browser:</p>
+        <p style="color: #007bff; font-size: 12px; word-break: break-all;">${unlockUrl}</p>
+      </div>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error("Email send error:", error);
+    throw new Error("Error sending email");
+  }
+};
+
+// Tell the owner of an existing account that someone tried to sign up with
+// their email address
+exports.sendSignupAttemptEmail = async (email, loginUrl, resetUrl) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: `"YJ Network" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: "You Already Have an Account",
+    html: `
+      <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">You Already Have an Account</h2>
+        <p>Someone (hopefully you) tried to sign up with this email address, but an account already exists for it.</p>
+        <p>If this was you, simply log in:</p>
+        <a href="${loginUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0;">Log In</a>
+        <p>Forgot your password? <a href="${resetUrl}" style="color: #007bff;">Reset it here</a>.</p>
+        <p>If this was not you, you can ignore this email. Your account has not been changed.</p>
+      </div>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error("Email send error:", error);
+    throw new Error("Error sending email");
+  }
+};
+
+// Alert the user to a login from a device they have not used before
+exports.sendNewDeviceLoginEmail = async (email, { device, ip, location, time }, sessionsUrl) => {
+  const transporter = createTransporter();
+
+  const deviceName = [device.browser, device.os].filter(Boolean).join(" on ") || "Unknown device";
+  const place = [location.city, location.region, location.country].filter(Boolean).join(", ") || "Unknown location";
+
+  const mailOptions = {
+    from: `"YJ Network" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: "New Login to Your Account",
+    html: `
+      <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">New Login to Your Account</h2>
+        <p>Your account was just signed in to from a new device:</p>
+        <ul>
+          <li><strong>Device:</strong> ${deviceName} (${device.type})</li>
+          <li><strong>Location:</strong> ${place} (approximate)</li>
+          <li><strong>IP address:</strong> ${ip || "Unknown"}</li>
+          <li><strong>Time:</strong> ${time.toUTCString()}</li>
+        </ul>
+        <p>If this was you, you can ignore this email.</p>
+        <p>If it was not, sign out that device and change your password right away:</p>
+        <a href="${sessionsUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0;">Review Devices</a>
+      </div>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error("Email send error:", error);
+    throw new Error("Error sending email");
+  }
+};
@@ -0,0 +1,446 @@
+const mongoose = require("mongoose");
+const LedgerAccount = require("../models/LedgerAccount");
+const JournalEntry = require("../models/JournalEntry");
+const Transaction = require("../models/Transaction");
+const User = require("../models/User");
+
+// User fields that snapshot each user account's balance
+const SNAPSHOT_FIELDS = {
+  user_direct: "direct_income",
+  user_passive: "passive_income",
+};
+
+// Transaction type -> user account it is booked against
+const TRANSACTION_ACCOUNTS = {
+  direct: "user_direct",
+  passive: "user_passive",
+  withdrawal: "user_passive",
+  withdrawal_fee: "user_passive",
+  reversal: "user_passive",
+};
+
+// Find (or lazily open) the ledger account for a kind/user pair
+const getAccount = async (kind, userId = null, session) => {
+  return LedgerAccount.findOneAndUpdate(
+    { kind, user_id: userId },
+    { $setOnInsert: { kind, user_id: userId } },
+    { upsert: true, new: true, session }
+  );
+};
+
+exports.getAccount = getAccount;
+
+// Post a balanced journal entry and move the affected user snapshots with it.
+// Each leg is { kind, user_id?, debit?, credit? }. `updateSnapshots: false`
+// only records the entry (for balances the snapshots already hold).
+const postEntry = async (
+  { _id, type, description, reference, legs },
+  { session, updateSnapshots = true } = {}
+) => {
+  const resolvedLegs = [];
+  const snapshotUpdates = {};
+
+  for (const leg of legs) {
+    const account = await getAccount(leg.kind, leg.user_id || null, session);
+    const debit = leg.debit || 0;
+    const credit = leg.credit || 0;
+
+    resolvedLegs.push({ account_id: account._id, debit, credit });
+
+    // User accounts are liabilities: credits raise the balance, debits lower it
+    const field = SNAPSHOT_FIELDS[leg.kind];
+    if (field) {
+      const key = leg.user_id.toString();
+      snapshotUpdates[key] = snapshotUpdates[key] || {};
+      snapshotUpdates[key][field] =
+        (snapshotUpdates[key][field] || 0) + credit - debit;
+      snapshotUpdates[key].balance =
+        (snapshotUpdates[key].balance || 0) + credit - debit;
+    }
+  }
+
+  const [entry] = await JournalEntry.create(
+    [
+      {
+        _id,
+        type,
+        description,
+        reference_model: reference?.model,
+        reference_id: reference?.id,
+        legs: resolvedLegs,
+      },
+    ],
+    { session }
+  );
+
+  if (!updateSnapshots) return entry;
+
+  for (const [userId, inc] of Object.entries(snapshotUpdates)) {
+    await User.updateOne({ _id: userId }, { $inc: inc }, { session });
+  }
+
+  return entry;
+};
+
+exports.postEntry = postEntry;
+
+// @desc    Book a plan sale: the price is received, commissions are owed to
+//          the beneficiaries and whatever is left is platform revenue.
+//          commissions: [{ user_id, type: 'direct' | 'passive', amount, level }]
+//          plan/planVersion tag the commission transactions with the pricing used
+exports.postPlanPurchase = async (
+  { type = "plan_purchase", reference, plan, planVersion, price, commissions = [] },
+  { session } = {}
+) => {
+  const entryId = new mongoose.Types.ObjectId();
+  const commissionTotal = commissions.reduce((sum, c) => sum + c.amount, 0);
+  const revenue = price - commissionTotal;
+
+  const legs = [{ kind: "platform_cash", debit: price }];
+
+  commissions.forEach((c) => {
+    legs.push({
+      kind: TRANSACTION_ACCOUNTS[c.type],
+      user_id: c.user_id,
+      credit: c.amount,
+    });
+  });
+
+  legs.push(
+    revenue >= 0
+      ? { kind: "platform_revenue", credit: revenue }
+      : { kind: "platform_revenue", debit: -revenue }
+  );
+
+  await postEntry(
+    {
+      _id: entryId,
+      type,
+      description: `${type === "plan_upgrade" ? "Upgrade" : "Purchase"} approved`,
+      reference,
+      legs,
+    },
+    { session }
+  );
+
+  if (commissions.length === 0) return [];
+
+  return Transaction.create(
+    commissions.map((c) => ({
+      user_id: c.user_id,
+      type: c.type,
+      amount: c.amount,
+      plan,
+      plan_version: planVersion,
+      level: c.level,
+      journal_entry_id: entryId,
+    })),
+    // Mongoose only creates several documents in a session one by one
+    { session, ordered: true }
+  );
+};
+
+// @desc    Book an approved withdrawal out of the user's passive income.
+//          `amount` leaves passive income; the fee part of it is platform
+//          revenue and only the rest is paid out. The fee is recorded as its
+//          own transaction.
+exports.postWithdrawal = async (
+  { reference, user_id, amount, fee = 0 },
+  { session } = {}
+) => {
+  const entryId = new mongoose.Types.ObjectId();
+  const payout = amount - fee;
+
+  const legs = [
+    { kind: "user_passive", user_id, debit: amount },
+    { kind: "platform_payouts", credit: payout },
+  ];
+  if (fee > 0) {
+    legs.push({ kind: "platform_revenue", credit: fee });
+  }
+
+  await postEntry(
+    {
+      _id: entryId,
+      type: "withdrawal",
+      description: "Withdrawal approved",
+      reference,
+      legs,
+    },
+    { session }
+  );
+
+  const transactions = [{ user_id, type: "withdrawal", amount: payout }];
+  if (fee > 0) {
+    transactions.push({ user_id, type: "withdrawal_fee", amount: fee });
+  }
+
+  const [transaction] = await Transaction.create(
+    transactions.map((t) => ({ ...t, journal_entry_id: entryId })),
+    // Mongoose only creates several documents in a session one by one
+    { session, ordered: true }
+  );
+
+  return transaction;
+};
+
+// @desc    Return a failed payout to the user's passive income, fee
+//          included. Posted at most once per withdrawal (unique journal
+//          reference).
+exports.postWithdrawalReversal = async (
+  { reference, user_id, amount, fee = 0 },
+  { session } = {}
+) => {
+  const entryId = new mongoose.Types.ObjectId();
+
+  const legs = [
+    { kind: "platform_payouts", debit: amount - fee },
+    { kind: "user_passive", user_id, credit: amount },
+  ];
+  if (fee > 0) {
+    legs.push({ kind: "platform_revenue", debit: fee });
+  }
+
+  await postEntry(
+    {
+      _id: entryId,
+      type: "withdrawal_reversal",
+      description: "Withdrawal payout failed",
+      reference,
+      legs,
+    },
+    { session }
+  );
+
+  const [transaction] = await Transaction.create(
+    [
+      {
+        user_id,
+        type: "reversal",
+        amount,
+        journal_entry_id: entryId,
+      },
+    ],
+    { session }
+  );
+
+  return transaction;
+};
+
+// @desc    Credit a user's income outside of a plan sale (manual grants and
+//          seed scripts), paid out of platform revenue so the ledger still
+//          balances and the user's snapshots move with it
+exports.postAdjustment = async (
+  { user_id, type, amount, description = "Manual adjustment" },
+  { session } = {}
+) => {
+  const entryId = new mongoose.Types.ObjectId();
+
+  await postEntry(
+    {
+      _id: entryId,
+      type: "adjustment",
+      description,
+      legs: [
+        { kind: "platform_revenue", debit: amount },
+        { kind: TRANSACTION_ACCOUNTS[type], user_id, credit: amount },
+      ],
+    },
+    { session }
+  );
+
+  const [transaction] = await Transaction.create(
+    [
+      {
+        user_id,
+        type,
+        amount,
+        journal_entry_id: entryId,
+      },
+    ],
+    { session }
+  );
+
+  return transaction;
+};
+
+// @desc    Bring a user's ledger accounts up to the income snapshots they had
+//          before the ledger existed. Posts one opening_balance entry for
+//          whatever the ledger is missing, against platform_equity; the
+//          snapshots are left as they are. Returns the entry, or null if
+//          nothing was missing.
+exports.postOpeningBalance = async (
+  { user_id, direct_income = 0, passive_income = 0 },
+  { session } = {}
+) => {
+  const legs = [];
+  let equity = 0;
+
+  [
+    ["user_direct", direct_income],
+    ["user_passive", passive_income],
+  ].forEach(([kind, amount]) => {
+    if (Math.round(amount * 100) === 0) return;
+    legs.push(
+      amount > 0
+        ? { kind, user_id, credit: amount }
+        : { kind, user_id, debit: -amount }
+    );
+    equity += amount;
+  });
+
+  if (legs.length === 0) return null;
+
+  if (Math.round(equity * 100) !== 0) {
+    legs.push(
+      equity > 0
+        ? { kind: "platform_equity", debit: equity }
+        : { kind: "platform_equity", credit: -equity }
+    );
+  }
+
+  return postEntry(
+    {
+      type: "opening_balance",
+      description: "Opening balance",
+      legs,
+    },
+    { session, updateSnapshots: false }
+  );
+};
+
+// @desc    Reserve passive income for a pending withdrawal. The check and the
+//          reservation happen in one update, so concurrent requests cannot
+//          reserve the same money twice. Returns false if funds are short.
+exports.placeHold = async (userId, amount, { session } = {}) => {
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $expr: {
+        $gte: [
+          {
+            $subtract: [
+              { $ifNull: ["$passive_income", 0] },
+              { $ifNull: ["$held_balance", 0] },
+            ],
+          },
+          amount,
+        ],
+      },
+    },
+    { $inc: { held_balance: amount } },
+    { session }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// @desc    Give a reservation back (withdrawal rejected, or captured on approval)
+exports.releaseHold = async (userId, amount, { session } = {}) => {
+  await User.updateOne(
+    { _id: userId },
+    { $inc: { held_balance: -amount } },
+    { session }
+  );
+};
+
+// @desc    Capture an approved withdrawal: drop its hold and post the payout
+//          (deducts the user's passive income and balance)
+exports.captureWithdrawal = async (withdrawal, { session } = {}) => {
+  if (withdrawal.held) {
+    await exports.releaseHold(withdrawal.user_id, withdrawal.amount, { session });
+  }
+
+  return exports.postWithdrawal(
+    {
+      reference: { model: "Withdraw", id: withdrawal._id },
+      user_id: withdrawal.user_id,
+      amount: withdrawal.amount,
+      fee: withdrawal.fee || 0,
+    },
+    { session }
+  );
+};
+
+// @desc    Mark an approved/processing/paid withdrawal as failed and give the
+//          amount back, leaving it `reversed`
+exports.failWithdrawal = async (withdrawal, { by = null, reason = null, session } = {}) => {
+  withdrawal.transition("failed", by, reason);
+  withdrawal.failureReason = reason;
+
+  await exports.postWithdrawalReversal(
+    {
+      reference: { model: "Withdraw", id: withdrawal._id },
+      user_id: withdrawal.user_id,
+      amount: withdrawal.amount,
+      fee: withdrawal.fee || 0,
+    },
+    { session }
+  );
+
+  withdrawal.transition("reversed", null, "Amount returned to passive income");
+  return withdrawal.save({ session });
+};
+
+// @desc    Current balances of a user's ledger accounts
+const getUserLedgerBalances = async (userId, { session } = {}) => {
+  const accounts = await LedgerAccount.find({ user_id: userId }).session(session);
+  const balances = { balance: 0, direct_income: 0, passive_income: 0 };
+
+  if (accounts.length === 0) return balances;
+
+  const accountIds = accounts.map((a) => a._id);
+
+  const totals = await JournalEntry.aggregate([
+    { $match: { "legs.account_id": { $in: accountIds } } },
+    { $unwind: "$legs" },
+    { $match: { "legs.account_id": { $in: accountIds } } },
+    {
+      $group: {
+        _id: "$legs.account_id",
+        net: { $sum: { $subtract: ["$legs.credit", "$legs.debit"] } },
+      },
+    },
+  ]).session(session);
+
+  totals.forEach((t) => {
+    const account = accounts.find((a) => a._id.equals(t._id));
+    balances[SNAPSHOT_FIELDS[account.kind]] += t.net;
+    balances.balance += t.net;
+  });
+
+  return balances;
+};
+
+exports.getUserLedgerBalances = getUserLedgerBalances;
+
+// @desc    Net platform revenue (credits less debits on platform_revenue) per
+//          day the entries were posted, as [{ date: "YYYY-MM-DD", revenue }]
+exports.getRevenueByDay = async () => {
+  const account = await LedgerAccount.findOne({ kind: "platform_revenue", user_id: null });
+  if (!account) return [];
+
+  const days = await JournalEntry.aggregate([
+    { $match: { "legs.account_id": account._id } },
+    { $unwind: "$legs" },
+    { $match: { "legs.account_id": account._id } },
+    {
+      $group: {
+        _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+        net: { $sum: { $subtract: ["$legs.credit", "$legs.debit"] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return days.map((d) => ({ date: d._id, revenue: Math.round(d.net * 100) / 100 }));
+};
+
+// @desc    Reset a user's balance snapshots to what their ledger accounts
+//          hold (accepted reconciliation discrepancies). Nothing is posted:
+//          the ledger is the reference and only the snapshots drifted.
+exports.resyncUserSnapshots = async (userId, { session } = {}) => {
+  const balances = await getUserLedgerBalances(userId, { session });
+
+  return User.findByIdAndUpdate(userId, { $set: balances }, { new: true, session });
+};
@@ -0,0 +1,126 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Failures are forgotten after an hour without new ones
+const WINDOW_MS = 60 * 60 * 1000;
+const LOCK_MS = 30 * 60 * 1000;
+const MAX_DELAY_SECONDS = 60;
+
+// After `delayAfter` failures each further attempt must wait 1s, 2s, 4s, ...
+// (capped); `lockAfter` failures lock the key for LOCK_MS. IPs get more
+// room since many users can share one.
+const LIMITS = {
+  email: { delayAfter: 3, lockAfter: 10 },
+  ip: { delayAfter: 20, lockAfter: 100 },
+};
+
+const keysFor = (email, ip) => [
+  { kind: 'email', key: String(email || '').toLowerCase() },
+  { kind: 'ip', key: ip },
+];
+
+const delaySeconds = (kind, failures) => {
+  const extra = failures - LIMITS[kind].delayAfter;
+  return extra < 0 ? 0 : Math.min(2 ** extra, MAX_DELAY_SECONDS);
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Whether a login for `email` from `ip` may be tried now. Returns null, or
+// { status, code, message, retryAfter } to send back.
+exports.checkLoginAllowed = async (email, ip) => {
+  const attempts = await LoginAttempt.find({ $or: keysFor(email, ip) });
+  const now = Date.now();
+
+  for (const attempt of attempts) {
+    if (attempt.lockedUntil && attempt.lockedUntil.getTime() > now) {
+      return {
+        status: attempt.kind === 'email' ? 423 : 429,
+        code: attempt.kind === 'email' ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+        message:
+          attempt.kind === 'email'
+            ? 'Too many failed logins. The account is temporarily locked.'
+            : 'Too many failed logins. Please try again later.',
+        retryAfter: secondsUntil(attempt.lockedUntil),
+      };
+    }
+
+    if (!attempt.lastFailureAt || attempt.lastFailureAt.getTime() < now - WINDOW_MS) continue;
+
+    const delay = delaySeconds(attempt.kind, attempt.failures);
+    const nextAllowedAt = new Date(attempt.lastFailureAt.getTime() + delay * 1000);
+    if (nextAllowedAt.getTime() > now) {
+      return {
+        status: 429,
+        code: 'TOO_MANY_ATTEMPTS',
+        message: 'Too many failed logins. Please wait before trying again.',
+        retryAfter: secondsUntil(nextAllowedAt),
+      };
+    }
+  }
+
+  return null;
+};
+
+// Count a failed login. Returns true when this failure locked the email
+// (so the caller can send the unlock email once).
+exports.recordLoginFailure = async (email, ip) => {
+  const now = new Date();
+  let emailLocked = false;
+
+  for (const { kind, key } of keysFor(email, ip)) {
+    if (!key) continue;
+
+    // Start counting again after a quiet period
+    await LoginAttempt.updateOne(
+      { kind, key, lastFailureAt: { $lt: new Date(now.getTime() - WINDOW_MS) } },
+      { failures: 0 }
+    );
+
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { kind, key },
+      {
+        $inc: { failures: 1 },
+        $set: {
+          lastFailureAt: now,
+          lastIp: ip,
+          expiresAt: new Date(now.getTime() + WINDOW_MS),
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (attempt.failures < LIMITS[kind].lockAfter) continue;
+
+    // Lock once; the counter starts over when the lock ends
+    const lockedUntil = new Date(now.getTime() + LOCK_MS);
+    const locked = await LoginAttempt.updateOne(
+      {
+        _id: attempt._id,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      {
+        $set: { lockedUntil, failures: 0, expiresAt: new Date(lockedUntil.getTime() + WINDOW_MS) },
+        $inc: { lockCount: 1 },
+      }
+    );
+
+    if (kind === 'email' && locked.modifiedCount === 1) emailLocked = true;
+  }
+
+  return emailLocked;
+};
+
+// A successful login clears the email's failures (not the IP's, so one
+// good account cannot be used to reset a stuffing run)
+exports.recordLoginSuccess = async (email) => {
+  await LoginAttempt.deleteOne({ kind: 'email', key: String(email || '').toLowerCase() });
+};
+
+// Lift the lock of an email address
+exports.unlockEmail = async (email) => {
+  const result = await LoginAttempt.deleteOne({
+    kind: 'email',
+    key: String(email || '').toLowerCase(),
+  });
+  return result.deletedCount === 1;
+};
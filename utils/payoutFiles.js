@@ -0,0 +1,182 @@
+// Export and settlement file formats for payout batches
+
+const CSV_COLUMNS = [
+  'withdrawal_id',
+  'user_name',
+  'user_email',
+  'amount',
+  'method',
+  'bank_name',
+  'account_name',
+  'account_number',
+  'wallet_provider',
+  'wallet_number',
+  'crypto_network',
+  'crypto_address',
+];
+
+// Quote a CSV value when it contains separators, quotes or line breaks.
+// Values starting like a formula (=, +, -, @, tab or carriage return) get
+// a leading ' so spreadsheets show them instead of running them.
+const csvValue = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Destination of a withdrawal; withdrawals from before payout methods
+// existed only carry free-text bank details
+const destinationOf = (withdrawal) => {
+  const method = withdrawal.payout_method_id;
+  if (method) return method;
+
+  return {
+    type: 'bank_account',
+    bankName: withdrawal.bankName,
+    accountNumber: withdrawal.bankAccountNumber,
+  };
+};
+
+// What is actually sent: the requested amount minus the withdrawal fee
+const payoutAmount = (withdrawal) => withdrawal.amount - (withdrawal.fee || 0);
+
+// @desc    CSV with one row per withdrawal. Expects withdrawals with
+//          user_id and payout_method_id populated (as plain objects).
+exports.toCsv = (withdrawals) => {
+  const rows = withdrawals.map((w) => {
+    const d = destinationOf(w);
+    return [
+      w._id,
+      w.user_id?.name,
+      w.user_id?.email,
+      payoutAmount(w).toFixed(2),
+      d.type,
+      d.bankName,
+      d.accountName,
+      d.accountNumber,
+      d.walletProvider,
+      d.walletNumber,
+      d.cryptoNetwork,
+      d.cryptoAddress,
+    ]
+      .map(csvValue)
+      .join(',');
+  });
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+};
+
+// Left-aligned, space padded, cut to width
+const alpha = (value, width) =>
+  String(value || '')
+    .replace(/[\r\n]/g, ' ')
+    .slice(0, width)
+    .padEnd(width, ' ');
+
+// Right-aligned, zero padded
+const numeric = (value, width) => String(value).padStart(width, '0').slice(-width);
+
+const toCents = (amount) => Math.round(amount * 100);
+
+const yyyymmdd = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+// @desc    Bank-style fixed-width file: one 120 character record per line.
+//          H = header, D = one per withdrawal, T = trailer with totals.
+//
+//          H | batch reference (20) | date YYYYMMDD (8) | padding
+//          D | withdrawal id (24) | method (13) | account name (30)
+//            | bank / provider / network (20) | account / wallet / address (20)
+//            | amount in cents (11) | padding
+//          T | record count (6) | total in cents (15) | padding
+exports.toFixedWidth = (batch, withdrawals, date = new Date()) => {
+  const RECORD_LENGTH = 120;
+  const record = (line) => line.padEnd(RECORD_LENGTH, ' ');
+
+  const lines = [record(`H${alpha(batch.reference, 20)}${yyyymmdd(date)}`)];
+  let totalCents = 0;
+
+  withdrawals.forEach((w) => {
+    const d = destinationOf(w);
+    const cents = toCents(payoutAmount(w));
+    totalCents += cents;
+
+    lines.push(
+      record(
+        'D' +
+          alpha(w._id, 24) +
+          alpha(d.type, 13) +
+          alpha(d.accountName || w.user_id?.name, 30) +
+          alpha(d.bankName || d.walletProvider || d.cryptoNetwork, 20) +
+          alpha(d.accountNumber || d.walletNumber || d.cryptoAddress, 20) +
+          numeric(cents, 11)
+      )
+    );
+  });
+
+  lines.push(record(`T${numeric(withdrawals.length, 6)}${numeric(totalCents, 15)}`));
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Split one CSV line, honouring quoted values
+const parseCsvLine = (line) => {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  values.push(current.trim());
+  return values;
+};
+
+// @desc    Parse a settlement CSV with the header
+//          withdrawal_id,status,bank_reference,failure_reason
+//          into [{ withdrawalId, status, bankReference, failureReason }]
+exports.parseSettlementCsv = (text) => {
+  const lines = text
+    .replace(/^\uFEFF/, '') // Spreadsheet exports often start with a BOM
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '');
+
+  if (lines.length === 0) return [];
+
+  const header = parseCsvLine(lines[0]).map((h) => h.toLowerCase());
+  const column = (name) => header.indexOf(name);
+
+  if (column('withdrawal_id') === -1 || column('status') === -1) {
+    throw new Error('Settlement file needs withdrawal_id and status columns');
+  }
+
+  return lines.slice(1).map((line) => {
+    const values = parseCsvLine(line);
+    const value = (name) => (column(name) === -1 ? '' : values[column(name)] || '');
+
+    return {
+      withdrawalId: value('withdrawal_id'),
+      status: value('status').toLowerCase(),
+      bankReference: value('bank_reference'),
+      failureReason: value('failure_reason'),
+    };
+  });
+};
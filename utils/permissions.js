@@ -0,0 +1,88 @@
+// Permissions checked by requirePermission (middleware/auth)
+const PERMISSIONS = [
+  'dashboard:read',
+  'users:read',
+  'users:write', // Edit name, email, password and plan
+  'users:ban',
+  'users:delete',
+  'roles:manage', // Give users staff roles
+  'requests:read',
+  'requests:approve', // Approve or reject plan purchases
+  'upgrades:read',
+  'upgrades:approve',
+  'withdrawals:read',
+  'withdrawals:approve', // Approve or reject withdrawal requests
+  'withdrawals:payout', // Batches, exports, settlement and payout status
+  'payout_methods:read',
+  'payout_methods:verify',
+  'discrepancies:read',
+  'discrepancies:resolve',
+  'transactions:read',
+  'withdrawal_policy:read',
+  'withdrawal_policy:write',
+  'plans:read',
+  'plans:write',
+  'discounts:write',
+  'ebooks:read', // See every ebook, not only those of the own plan
+  'ebooks:write',
+  'audit:read',
+  'approvals:read', // See the dual approval queue
+];
+
+// Everything support staff may look at, without acting on money
+const READ_ONLY = [
+  'dashboard:read',
+  'users:read',
+  'requests:read',
+  'upgrades:read',
+  'withdrawals:read',
+  'payout_methods:read',
+  'discrepancies:read',
+  'transactions:read',
+  'withdrawal_policy:read',
+  'plans:read',
+  'ebooks:read',
+  'approvals:read',
+];
+
+// Role -> permissions. `admin` is the original all-powerful role and keeps
+// full access alongside `superadmin`.
+const ROLE_PERMISSIONS = {
+  user: [],
+  superadmin: PERMISSIONS,
+  admin: PERMISSIONS,
+  support: [...READ_ONLY, 'users:ban'],
+  finance: [
+    ...READ_ONLY,
+    'requests:approve',
+    'upgrades:approve',
+    'withdrawals:approve',
+    'withdrawals:payout',
+    'payout_methods:verify',
+    'discrepancies:resolve',
+    'withdrawal_policy:write',
+    'discounts:write',
+  ],
+  content: ['dashboard:read', 'plans:read', 'ebooks:read', 'ebooks:write'],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Every role except plain users
+const STAFF_ROLES = ROLES.filter((role) => role !== 'user');
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+const isStaff = (role) => STAFF_ROLES.includes(role);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  STAFF_ROLES,
+  getPermissions,
+  hasPermission,
+  isStaff,
+};
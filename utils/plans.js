@@ -0,0 +1,185 @@
+const Plan = require("../models/Plan");
+const PlanVersion = require("../models/PlanVersion");
+const Request = require("../models/Request");
+
+// Catalogue the platform launched with - seeded when the collection is empty
+const DEFAULT_PLANS = [
+  {
+    key: "knowic",
+    name: "Knowic",
+    price: 24,
+    direct: 16,
+    passive: 2,
+    rank: 1,
+    referable: ["knowic"],
+  },
+  {
+    key: "learnic",
+    name: "Learnic",
+    price: 59,
+    direct: 40,
+    passive: 4,
+    rank: 2,
+    referable: ["knowic", "learnic"],
+  },
+  {
+    key: "masteric",
+    name: "Masteric",
+    price: 130,
+    direct: 85,
+    passive: 7,
+    rank: 3,
+    referable: ["knowic", "learnic", "masteric"],
+  },
+];
+
+// Store the plan's current economics as an entry in its price history
+const recordPlanVersion = async (plan, changedBy = null) => {
+  try {
+    return await PlanVersion.create({
+      plan: plan.key,
+      version: plan.version,
+      price: plan.price,
+      direct: plan.direct,
+      passive: plan.passive,
+      commissionLevels: plan.commissionLevels,
+      discount: plan.discount,
+      changedBy,
+    });
+  } catch (error) {
+    // Version already recorded
+    if (error.code !== 11000) throw error;
+    return null;
+  }
+};
+
+exports.recordPlanVersion = recordPlanVersion;
+
+// Get all plans ordered by rank (seeds the defaults on first use)
+const getPlans = async ({ activeOnly = false } = {}) => {
+  let plans = await Plan.find().sort({ rank: 1 });
+
+  if (plans.length === 0) {
+    try {
+      const seeded = await Plan.insertMany(DEFAULT_PLANS);
+      await Promise.all(seeded.map((plan) => recordPlanVersion(plan)));
+    } catch (error) {
+      // Another request seeded the defaults at the same time
+      if (error.code !== 11000) throw error;
+    }
+    plans = await Plan.find().sort({ rank: 1 });
+  }
+
+  return activeOnly ? plans.filter((p) => p.active) : plans;
+};
+
+exports.getPlans = getPlans;
+
+// Get a single plan by key (inactive plans included), or null
+exports.getPlan = async (key) => {
+  if (!key) return null;
+  const plans = await getPlans();
+  return plans.find((p) => p.key === key) || null;
+};
+
+// Get all plans keyed by plan key
+exports.getPlanMap = async () => {
+  const plans = await getPlans();
+  return plans.reduce((map, plan) => {
+    map[plan.key] = plan;
+    return map;
+  }, {});
+};
+
+// Plan keys a user on `planKey` may access content for (same or lower rank)
+exports.getAccessiblePlanKeys = async (planKey) => {
+  const plans = await getPlans();
+  const current = plans.find((p) => p.key === planKey);
+  if (!current) return [];
+  return plans.filter((p) => p.rank <= current.rank).map((p) => p.key);
+};
+
+// Most a plan can be discounted: discounted sales only pay the direct
+// commission, so everything above it may be given away
+exports.maxDiscount = (plan) => Math.max(0, Math.round((plan.price - plan.direct) * 100) / 100);
+
+// Change a plan's discount; like other economics changes it starts a new
+// version
+exports.setPlanDiscount = async (plan, discount, changedBy = null) => {
+  if (discount === plan.discount) return plan;
+
+  plan.discount = discount;
+  plan.version += 1;
+  await plan.save();
+  await recordPlanVersion(plan, changedBy);
+  return plan;
+};
+
+// Economics to freeze onto a request/upgrade when it is approved
+exports.snapshotPricing = (plan) => ({
+  planVersion: plan.version,
+  price: plan.price,
+  direct: plan.direct,
+  passive: plan.passive,
+  commissionLevels: plan.commissionLevels.map((l) => ({ type: l.type, value: l.value })),
+  discount: plan.discount || 0,
+});
+
+// Pricing that applied to an approved request or upgrade. Approvals from
+// before snapshots were captured fall back to the plan's first version
+// (the launch prices), never to today's prices. Pass the same `cache`
+// object when looking up many documents to avoid repeated queries.
+exports.getAppliedPricing = async (doc, planKey, cache = {}) => {
+  if (doc.pricing && doc.pricing.price !== undefined) {
+    return doc.pricing;
+  }
+
+  if (!(planKey in cache)) {
+    cache[planKey] = await getLegacyPricing(planKey);
+  }
+  return cache[planKey];
+};
+
+const getLegacyPricing = async (planKey) => {
+  const launchVersion = await PlanVersion.findOne({ plan: planKey, version: 1 });
+  if (launchVersion) {
+    return {
+      planVersion: 1,
+      price: launchVersion.price,
+      direct: launchVersion.direct,
+      passive: launchVersion.passive,
+    };
+  }
+
+  const plans = await getPlans();
+  const plan = plans.find((p) => p.key === planKey);
+  return plan
+    ? { planVersion: plan.version, price: plan.price, direct: plan.direct, passive: plan.passive }
+    : null;
+};
+
+// Move a user to another plan (or clear it with null) and keep their
+// approved request in line with it
+exports.changeUserPlan = async (user, plan, { session } = {}) => {
+  const oldPlan = user.plan;
+  user.plan = plan || null;
+  await user.save({ session });
+
+  if (oldPlan === user.plan) return user;
+
+  const approvedRequest = await Request.findOne({
+    user_id: user._id,
+    status: "approved",
+  }).session(session || null);
+
+  if (approvedRequest) {
+    // Update the request's plan to match the new plan
+    approvedRequest.plan = plan || oldPlan;
+    await approvedRequest.save({ session });
+    console.log(
+      `Updated request ${approvedRequest._id} plan from ${oldPlan} to ${plan}`
+    );
+  }
+
+  return user;
+};
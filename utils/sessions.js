@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const maxmind = require('maxmind');
+const UAParser = require('ua-parser-js');
+const Session = require('../models/Session');
+
+// lastSeenAt is written at most this often per session
+const TOUCH_INTERVAL = 60 * 1000;
+
+// GeoIP reader for GEOIP_DB_PATH (a MaxMind GeoLite2/GeoIP2 City or Country
+// .mmdb file), opened on first use. Without it sessions have no location.
+let geoReader = null;
+
+const getGeoReader = () => {
+  if (!geoReader) {
+    geoReader = process.env.GEOIP_DB_PATH
+      ? maxmind.open(process.env.GEOIP_DB_PATH).catch((error) => {
+          console.error('GeoIP database error:', error);
+          return null;
+        })
+      : Promise.resolve(null);
+  }
+  return geoReader;
+};
+
+// Browser, OS and device type from a User-Agent header
+const describeDevice = (userAgent) => {
+  const { browser, os, device } = new UAParser(userAgent || '').getResult();
+  return {
+    browser: browser.name || null,
+    os: os.name || null,
+    type: device.type || 'desktop',
+  };
+};
+
+exports.describeDevice = describeDevice;
+
+const deviceKeyOf = (device) =>
+  crypto
+    .createHash('sha256')
+    .update([device.browser, device.os, device.type].join('|'))
+    .digest('hex');
+
+// Approximate location of an IP address, or null
+const lookupLocation = async (ip) => {
+  const reader = await getGeoReader();
+  if (!reader || !ip) return null;
+
+  try {
+    const record = reader.get(ip.replace(/^::ffff:/, ''));
+    if (!record) return null;
+
+    return {
+      country: record.country?.names?.en || null,
+      region: record.subdivisions?.[0]?.names?.en || null,
+      city: record.city?.names?.en || null,
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+exports.lookupLocation = lookupLocation;
+
+// Record a login. `newDevice` is true when the user has logged in before,
+// but never from this browser/OS/device type.
+exports.createSession = async (user, req, expiresAt) => {
+  const userAgent = req.get('User-Agent') || null;
+  const device = describeDevice(userAgent);
+  const deviceKey = deviceKeyOf(device);
+
+  const [hasSessions, knownDevice] = await Promise.all([
+    Session.exists({ user_id: user._id }),
+    Session.exists({ user_id: user._id, deviceKey }),
+  ]);
+
+  const session = await Session.create({
+    user_id: user._id,
+    userAgent,
+    device,
+    deviceKey,
+    ip: req.ip,
+    location: (await lookupLocation(req.ip)) || {},
+    expiresAt,
+  });
+
+  return { session, newDevice: Boolean(hasSessions) && !knownDevice };
+};
+
+// Note activity on a session (from protect and refresh)
+exports.touchSession = async (session, ip, expiresAt = null) => {
+  if (!expiresAt && Date.now() - session.lastSeenAt.getTime() < TOUCH_INTERVAL) return;
+
+  const update = { lastSeenAt: new Date() };
+  if (ip) update.ip = ip;
+  if (expiresAt) update.expiresAt = expiresAt;
+
+  if (ip && ip !== session.ip) {
+    update.location = (await lookupLocation(ip)) || {};
+  }
+
+  await Session.updateOne({ _id: session._id }, update);
+};
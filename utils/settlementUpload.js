@@ -0,0 +1,71 @@
+const multer = require('multer');
+const path = require('path');
+
+// Settlement files are parsed straight away, so they are kept in memory
+const storage = multer.memoryStorage();
+
+// File filter - only accept CSV files
+const fileFilter = (req, file, cb) => {
+  const extname = path.extname(file.originalname).toLowerCase() === '.csv';
+
+  if (extname) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Only CSV files are allowed'));
+  }
+};
+
+const settlementUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+    files: 1,
+  },
+  fileFilter: fileFilter,
+});
+
+// Turn upload errors into 400 responses instead of server errors
+const handleMulterError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    console.error('[Multer Error]:', err.message);
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: 'File size too large. Maximum allowed size is 2MB.',
+      });
+    }
+
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({
+        success: false,
+        message: 'Too many files. Only one file can be uploaded at a time.',
+      });
+    }
+
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Unexpected file field. Please upload using the "file" field.',
+      });
+    }
+
+    return res.status(400).json({
+      success: false,
+      message: err.message || 'File upload error',
+    });
+  }
+
+  if (err) {
+    console.error('[Upload Error]:', err.message);
+    return res.status(400).json({
+      success: false,
+      message: err.message || 'File upload failed',
+    });
+  }
+
+  next();
+};
+
+module.exports = settlementUpload;
+module.exports.handleMulterError = handleMulterError;
@@ -0,0 +1,136 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { createSession, touchSession } = require('./sessions');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived JWT sent as the Bearer token; `sid` is the login session
+const generateAccessToken = (id, role, sid = null) => {
+  const payload = sid ? { id, role, sid } : { id, role };
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+  });
+};
+
+exports.generateAccessToken = generateAccessToken;
+
+// Store a new refresh token and return the raw value (only ever sent to
+// the client). Pass `family` when rotating so the chain stays linked.
+const createRefreshToken = async (user, req, family = null) => {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  const doc = await RefreshToken.create({
+    user_id: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomBytes(16).toString('hex'),
+    expiresAt: refreshExpiry(),
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+
+  return { token, doc };
+};
+
+// Access + refresh token pair for a fresh login, with its session. The
+// session id is the refresh token family.
+exports.issueTokens = async (user, req) => {
+  const { session, newDevice } = await createSession(user, req, refreshExpiry());
+  const { token: refreshToken } = await createRefreshToken(user, req, session._id.toString());
+
+  return {
+    token: generateAccessToken(user._id, user.role, session._id),
+    refreshToken,
+    session,
+    newDevice,
+  };
+};
+
+// Exchange a refresh token for a new pair. Each refresh token works once:
+// presenting one that was already rotated means it was copied, so its
+// whole family is revoked. Returns { error, status } or { user, token, refreshToken }.
+exports.rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  // Claim the token atomically so two parallel refreshes cannot both win
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: 'rotated' },
+    { new: true }
+  );
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash });
+
+    if (known && known.revokedReason === 'rotated') {
+      await revokeFamily(known.family, 'reuse');
+      console.warn(`Refresh token reuse detected for user ${known.user_id}`);
+    }
+
+    return { status: 401, error: 'Invalid or expired refresh token' };
+  }
+
+  const user = await User.findById(current.user_id);
+  if (!user || user.banned) {
+    await revokeFamily(current.family, user ? 'banned' : 'logout');
+    return { status: 401, error: 'Invalid or expired refresh token' };
+  }
+
+  // Tokens from before sessions existed have a random family instead
+  const session = mongoose.isValidObjectId(current.family)
+    ? await Session.findById(current.family)
+    : null;
+
+  if (session && session.revokedAt) {
+    await revokeFamily(current.family, session.revokedReason || 'logout');
+    return { status: 401, error: 'Invalid or expired refresh token' };
+  }
+
+  const { token: nextToken, doc } = await createRefreshToken(user, req, current.family);
+  current.replacedBy = doc._id;
+  await current.save();
+
+  if (session) await touchSession(session, req.ip, doc.expiresAt);
+
+  return {
+    user,
+    token: generateAccessToken(user._id, user.role, session ? session._id : null),
+    refreshToken: nextToken,
+  };
+};
+
+// Revoke every live token of a family and its session (one login on one
+// device)
+const revokeFamily = async (family, reason) => {
+  const revoked = { revokedAt: new Date(), revokedReason: reason };
+
+  await RefreshToken.updateMany({ family, revokedAt: null }, revoked);
+
+  if (mongoose.isValidObjectId(family)) {
+    await Session.updateOne({ _id: family, revokedAt: null }, revoked);
+  }
+};
+
+exports.revokeFamily = revokeFamily;
+
+// Revoke the family `refreshToken` belongs to; unknown tokens are ignored
+exports.revokeRefreshToken = async (refreshToken, reason = 'logout') => {
+  const known = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (known) await revokeFamily(known.family, reason);
+  return known;
+};
+
+// Log a user out everywhere (password change/reset, ban, "log out all devices")
+exports.revokeAllRefreshTokens = async (userId, reason) => {
+  const revoked = { revokedAt: new Date(), revokedReason: reason };
+
+  await RefreshToken.updateMany({ user_id: userId, revokedAt: null }, revoked);
+  await Session.updateMany({ user_id: userId, revokedAt: null }, revoked);
+};
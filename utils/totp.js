@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// SHA-1, 6 digits, 30 second steps
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept codes from one step before/after to allow for clock drift
+const WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) code for one counter value
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// New random secret, base32 encoded as authenticator apps expect
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// otpauth:// URI to render as a QR code for enrolment
+exports.otpauthUrl = (secret, accountName, issuer = 'YJ Network') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Time step the code belongs to, or null if it does not match. Steps up to
+// `afterStep` are refused so a code cannot be used twice.
+exports.verifyTotp = (secret, code, { afterStep = -1, now = Date.now() } = {}) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(token) || token.length !== DIGITS) return null;
+
+  const step = currentStep(now);
+  for (let candidate = step - WINDOW; candidate <= step + WINDOW; candidate++) {
+    if (candidate <= afterStep) continue;
+
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+exports.generateTotp = (secret, now = Date.now()) => hotp(secret, currentStep(now));
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyTotp } = require('./totp');
+const { isStaff } = require('./permissions');
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashCode = (code) =>
+  crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+
+// Staff accounts can move money, so they must use 2FA
+exports.isTwoFactorRequired = (user) => isStaff(user.role);
+
+// Fresh recovery codes: the plain codes to show once, and the hashes to store
+exports.generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+
+  return { codes, hashes: codes.map(hashCode) };
+};
+
+// User with the 2FA secrets selected
+exports.findWithTwoFactor = (id) =>
+  User.findById(id).select(
+    '+password +twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastStep'
+  );
+
+// Check a code from the authenticator app, or a recovery code (xxxx-xxxx),
+// against a user loaded with findWithTwoFactor. Used codes are consumed
+// atomically, so each one works only once.
+exports.verifySecondFactor = async (user, code) => {
+  if (!user.twoFactorEnabled || !code) return false;
+
+  const value = String(code).trim();
+
+  if (/^\d{6}$/.test(value.replace(/\s/g, ''))) {
+    const step = verifyTotp(user.twoFactorSecret, value, {
+      afterStep: user.twoFactorLastStep,
+    });
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorLastStep: { $lt: step } },
+      { twoFactorLastStep: step }
+    );
+    if (result.modifiedCount !== 1) return false;
+
+    user.twoFactorLastStep = step;
+    return true;
+  }
+
+  const hash = hashCode(value);
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+  if (result.modifiedCount !== 1) return false;
+
+  user.twoFactorRecoveryCodes = (user.twoFactorRecoveryCodes || []).filter((h) => h !== hash);
+  return true;
+};
+
+// Short-lived token proving the password step of a 2FA login succeeded
+exports.generateTwoFactorToken = (id) =>
+  jwt.sign({ id, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+
+// User id from a two-factor token, or null
+exports.verifyTwoFactorToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
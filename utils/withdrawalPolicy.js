@@ -0,0 +1,129 @@
+const WithdrawalPolicy = require("../models/WithdrawalPolicy");
+const Withdraw = require("../models/Withdraw");
+
+const { RULE_FIELDS } = WithdrawalPolicy;
+
+// Withdrawals that no longer count towards caps, cooldowns and pending limits
+const RELEASED_STATUSES = ["rejected", "cancelled", "reversed"];
+
+// Get the policy document (created with defaults on first use). A policy
+// saved before the singleton key existed is adopted rather than duplicated.
+const getPolicy = async () => {
+  await WithdrawalPolicy.updateOne({ key: { $exists: false } }, { $set: { key: "default" } })
+    .catch((error) => {
+      if (error.code !== 11000) throw error;
+    });
+
+  return WithdrawalPolicy.findOneAndUpdate(
+    { key: "default" },
+    { $setOnInsert: { key: "default" } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+exports.getPolicy = getPolicy;
+
+// Rules that apply to a user on `planKey`: the global policy with any
+// non-null values of that plan's override on top
+exports.getEffectivePolicy = async (planKey) => {
+  const policy = await getPolicy();
+  const override = policy.planOverrides.find((o) => o.plan === planKey);
+
+  const rules = {};
+  RULE_FIELDS.forEach((field) => {
+    const value = override ? override[field] : null;
+    rules[field] = value !== null && value !== undefined ? value : policy[field];
+  });
+
+  return rules;
+};
+
+// Fee charged on a withdrawal of `amount`, rounded to cents
+exports.calculateFee = (rules, amount) => {
+  const fee =
+    rules.feeType === "percentage"
+      ? (amount * (rules.feeValue || 0)) / 100
+      : rules.feeValue || 0;
+
+  return Math.round(fee * 100) / 100;
+};
+
+// What the user has already used against the rules. Pass the session of the
+// transaction that creates the withdrawal so the check sees the same data.
+exports.getUsage = async (userId, rules, { now = new Date(), session } = {}) => {
+  const startOfDay = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+  );
+  const startOfMonth = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)
+  );
+
+  const counted = { user_id: userId, status: { $nin: RELEASED_STATUSES } };
+
+  const sumSince = async (since) => {
+    const [result] = await Withdraw.aggregate([
+      { $match: { ...counted, createdAt: { $gte: since } } },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]).session(session);
+    return result ? result.total : 0;
+  };
+
+  // One after the other: a transaction cannot run operations in parallel
+  const usedToday = await sumSince(startOfDay);
+  const usedThisMonth = await sumSince(startOfMonth);
+  const pendingCount = await Withdraw.countDocuments({
+    user_id: userId,
+    status: "pending",
+  }).session(session);
+  const last = await Withdraw.findOne(counted)
+    .sort({ createdAt: -1 })
+    .select("createdAt")
+    .session(session);
+
+  const nextAllowedAt =
+    last && rules.cooldownHours > 0
+      ? new Date(last.createdAt.getTime() + rules.cooldownHours * 60 * 60 * 1000)
+      : null;
+
+  return {
+    usedToday,
+    usedThisMonth,
+    pendingCount,
+    nextAllowedAt: nextAllowedAt && nextAllowedAt > now ? nextAllowedAt : null,
+  };
+};
+
+// Reason a withdrawal of `amount` breaks the rules, or null if it is allowed
+exports.checkWithdrawal = (rules, usage, amount) => {
+  if (rules.minAmount !== null && amount < rules.minAmount) {
+    return `Withdrawal amount must be at least $${rules.minAmount}`;
+  }
+
+  if (rules.maxAmount !== null && amount > rules.maxAmount) {
+    return `Withdrawal amount cannot exceed $${rules.maxAmount}`;
+  }
+
+  if (amount <= exports.calculateFee(rules, amount)) {
+    return "Withdrawal amount must be more than the withdrawal fee";
+  }
+
+  if (usage.pendingCount >= rules.maxPending) {
+    return rules.maxPending === 1
+      ? "You already have a pending withdrawal request. Please wait for it to be processed."
+      : `You can have at most ${rules.maxPending} pending withdrawal requests`;
+  }
+
+  if (usage.nextAllowedAt) {
+    return `You can request your next withdrawal after ${usage.nextAllowedAt.toISOString()}`;
+  }
+
+  if (rules.dailyCap !== null && usage.usedToday + amount > rules.dailyCap) {
+    return `This would exceed your daily withdrawal limit of $${rules.dailyCap}`;
+  }
+
+  if (rules.monthlyCap !== null && usage.usedThisMonth + amount > rules.monthlyCap) {
+    return `This would exceed your monthly withdrawal limit of $${rules.monthlyCap}`;
+  }
+
+  return null;
+};
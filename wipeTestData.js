@@ -14,6 +14,22 @@ const DailyStat = require('./models/DailyStat');
 const WeeklyStat = require('./models/WeeklyStat');
 const MonthlyStat = require('./models/MonthlyStat');
 const JobMeta = require('./models/JobMeta');
+const LedgerAccount = require('./models/LedgerAccount');
+const JournalEntry = require('./models/JournalEntry');
+const BalanceDiscrepancy = require('./models/BalanceDiscrepancy');
+const UpgradeRequest = require('./models/UpgradeRequest');
+const PayoutMethod = require('./models/PayoutMethod');
+const PayoutBatch = require('./models/PayoutBatch');
+const Plan = require('./models/Plan');
+const PlanVersion = require('./models/PlanVersion');
+const Discount = require('./models/Discount');
+const WithdrawalPolicy = require('./models/WithdrawalPolicy');
+const DualApproval = require('./models/DualApproval');
+const AuditLog = require('./models/AuditLog');
+const RefreshToken = require('./models/RefreshToken');
+const Session = require('./models/Session');
+const LoginAttempt = require('./models/LoginAttempt');
+const IdempotencyKey = require('./models/IdempotencyKey');
 
 // Colors for console output
 const colors = {
@@ -66,8 +82,14 @@ const getUserConfirmation = () => {
     console.log('This script will delete:');
     console.log(`${colors.yellow}  - All users${colors.reset}`);
     console.log(`${colors.yellow}  - All transactions${colors.reset}`);
-    console.log(`${colors.yellow}  - All requests${colors.reset}`);
-    console.log(`${colors.yellow}  - All withdrawals${colors.reset}`);
+    console.log(`${colors.yellow}  - All ledger accounts and journal entries${colors.reset}`);
+    console.log(`${colors.yellow}  - All balance discrepancies${colors.reset}`);
+    console.log(`${colors.yellow}  - All requests and upgrade requests${colors.reset}`);
+    console.log(`${colors.yellow}  - All withdrawals, payout methods and payout batches${colors.reset}`);
+    console.log(`${colors.yellow}  - All plans and plan versions (defaults are seeded again on first use)${colors.reset}`);
+    console.log(`${colors.yellow}  - Discount settings and the withdrawal policy${colors.reset}`);
+    console.log(`${colors.yellow}  - All dual approvals and audit log entries${colors.reset}`);
+    console.log(`${colors.yellow}  - All sessions, refresh tokens, login attempts and idempotency keys${colors.reset}`);
     console.log(`${colors.yellow}  - All ebooks${colors.reset}`);
     console.log(`${colors.yellow}  - All statistics (daily, weekly, monthly)${colors.reset}`);
     console.log(`${colors.yellow}  - All job metadata${colors.reset}`);
@@ -114,8 +136,25 @@ const wipeTestData = async () => {
     const collections = [
       { model: User, name: 'Users' },
       { model: Transaction, name: 'Transactions' },
+      { model: LedgerAccount, name: 'Ledger Accounts' },
+      // Journal entries refuse deletes through the model, so go to the collection
+      { model: JournalEntry.collection, name: 'Journal Entries' },
+      { model: BalanceDiscrepancy, name: 'Balance Discrepancies' },
       { model: Request, name: 'Requests' },
+      { model: UpgradeRequest, name: 'Upgrade Requests' },
       { model: Withdraw, name: 'Withdrawals' },
+      { model: PayoutMethod, name: 'Payout Methods' },
+      { model: PayoutBatch, name: 'Payout Batches' },
+      { model: Plan, name: 'Plans' },
+      { model: PlanVersion, name: 'Plan Versions' },
+      { model: Discount, name: 'Discount Settings' },
+      { model: WithdrawalPolicy, name: 'Withdrawal Policy' },
+      { model: DualApproval, name: 'Dual Approvals' },
+      { model: AuditLog, name: 'Audit Log' },
+      { model: RefreshToken, name: 'Refresh Tokens' },
+      { model: Session, name: 'Sessions' },
+      { model: LoginAttempt, name: 'Login Attempts' },
+      { model: IdempotencyKey, name: 'Idempotency Keys' },
       { model: Ebook, name: 'Ebooks' },
       { model: DailyStat, name: 'Daily Statistics' },
       { model: WeeklyStat, name: 'Weekly Statistics' },